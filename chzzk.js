@@ -1,18 +1,70 @@
 import axios from 'axios';
+import { Readable } from 'stream';
 
 const BASE_OPEN_API_URL = 'https://openapi.chzzk.naver.com'; // Open API 도메인 ([1](https://chzzk.gitbook.io/chzzk/chzzk-api/tips))
 const ACCOUNT_INTERLOCK_URL = 'https://chzzk.naver.com/account-interlock'; // 인증 코드 발급용 ([1](https://chzzk.gitbook.io/chzzk/chzzk-api/authorization))
 const CHAT_WEBSOCKET_URL = 'wss://chat.chzzk.naver.com/chat'; // 채팅 웹소켓 URL
+const WEBSOCKET_OPEN = 1; // WebSocket.OPEN (Node.js에는 전역 WebSocket이 없을 수 있어 상수로 사용)
+const AUTH_STATE_TTL_MS = 10 * 60 * 1000; // 인증 state 유효 시간 - 10분
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1; // setTimeout 최대 지연 시간
+const CHAT_TIMEOUT_RETRY_DELAY_MS = 60 * 1000; // 임시 제재 해제 실패 시 재시도 간격 - 1분
+const MAX_CHANNEL_IDS_PER_REQUEST = 20; // 채널 정보 조회 1회당 최대 채널 ID 수 ([3](https://chzzk.gitbook.io/chzzk/chzzk-api/channel))
+
+// 일시적인 HTTP 실패에 대한 기본 재시도 정책
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3, // 최초 요청 포함 최대 시도 횟수
+  baseDelayMs: 500, // 첫 재시도 대기 시간 (이후 2배씩 증가)
+  maxDelayMs: 30 * 1000, // 최대 대기 시간 (Retry-After가 이보다 길면 재시도하지 않음)
+  jitter: 0.5, // 대기 시간을 무작위로 줄이는 비율 (0~1)
+  statuses: [408, 429, 500, 502, 503, 504],
+  methods: ['GET', 'HEAD', 'OPTIONS'], // 재시도해도 안전한 메서드만 기본 허용
+  retryNetworkErrors: true,
+};
+
+// 채팅 웹소켓 기본 재연결 정책
+const DEFAULT_CHAT_RECONNECT_POLICY = {
+  maxAttempts: 5, // 연속 재연결 최대 시도 횟수 (연결에 성공하면 초기화)
+  baseDelayMs: 1000, // 첫 재연결 대기 시간 (이후 2배씩 증가)
+  maxDelayMs: 30 * 1000, // 최대 대기 시간
+  jitter: 0.5, // 대기 시간을 무작위로 줄이는 비율 (0~1)
+};
 
 export default class Chzzk {
   /**
    * @param {Object} options - 인증 및 설정 정보를 담은 객체
    * @param {string} options.clientId - 치지직 개발자센터에서 발급받은 Client ID
    * @param {string} options.clientSecret - 치지직 개발자센터에서 발급받은 Client Secret
-   * @param {string} [options.accessToken] - 이미 발급받은 Access Token(있다면)
-   * @param {string} [options.refreshToken] - 이미 발급받은 Refresh Token(있다면)
+   * @param {string} [options.accessToken] - 이미 발급받은 Access Token(있다면, tokenStore에 저장된 토큰이 있으면 무시)
+   * @param {string} [options.refreshToken] - 이미 발급받은 Refresh Token(있다면, tokenStore에 저장된 토큰이 있으면 무시)
    * @param {boolean} [options.autoRefreshToken=true] - 토큰 만료 시 자동으로 갱신할지 여부
    * @param {number} [options.tokenRefreshThresholdMs=300000] - 토큰 갱신 임계값(ms) - 기본 5분
+   * @param {number} [options.tokenExpiry] - 이미 발급받은 Access Token의 만료 시각(ms, 있다면)
+   * @param {Object} [options.tokenStore] - 토큰 저장소 (load/save/clear 구현, 예: MemoryTokenStore, FileTokenStore)
+   * @param {Function} [options.accountTokenStore] - 멀티 계정용 토큰 저장소 생성 함수 (channelId => tokenStore)
+   * @param {Object|false} [options.retry] - 일시적 실패 재시도 정책 (false면 재시도 안 함)
+   * @param {number} [options.retry.maxAttempts=3] - 최초 요청 포함 최대 시도 횟수
+   * @param {number} [options.retry.baseDelayMs=500] - 첫 재시도 대기 시간(ms), 이후 2배씩 증가
+   * @param {number} [options.retry.maxDelayMs=30000] - 최대 대기 시간(ms)
+   * @param {number} [options.retry.jitter=0.5] - 대기 시간을 무작위로 줄이는 비율 (0~1)
+   * @param {number[]} [options.retry.statuses] - 재시도할 HTTP 상태 코드 (기본: 408, 429, 500, 502, 503, 504)
+   * @param {string[]} [options.retry.methods] - 재시도할 HTTP 메서드 (기본: GET, HEAD, OPTIONS)
+   * @param {boolean} [options.retry.retryNetworkErrors=true] - 응답이 없는 경우(타임아웃, 연결 끊김)도 재시도할지 여부
+   * @param {Object} [options.rateLimit] - 요청 속도 제한 설정 (RateLimiter 옵션, 지정 시 활성화)
+   * @param {RateLimiter} [options.rateLimiter] - 여러 인스턴스가 공유할 RateLimiter (rateLimit보다 우선)
+   * @param {string} [options.accountId] - 유저 인증 요청의 속도 제한 버킷을 구분할 계정 ID
+   * @param {Object|ResponseCache} [options.cache] - Client 인증 조회 API 응답 캐시 설정 (ResponseCache 옵션, 지정 시 활성화)
+   * @param {Function} [options.webSocketFactory] - 채팅 웹소켓 생성 함수 (url => WebSocket 호환 객체, Promise 가능)
+   * @param {Object|false} [options.chatReconnect] - 채팅 재연결 정책 (false면 재연결 안 함)
+   * @param {number} [options.chatReconnect.maxAttempts=5] - 연속 재연결 최대 시도 횟수
+   * @param {number} [options.chatReconnect.baseDelayMs=1000] - 첫 재연결 대기 시간(ms), 이후 2배씩 증가
+   * @param {number} [options.chatReconnect.maxDelayMs=30000] - 최대 대기 시간(ms)
+   * @param {number} [options.chatReconnect.jitter=0.5] - 대기 시간을 무작위로 줄이는 비율 (0~1)
+   * @param {Object} [options.chatHeartbeat] - 채팅 하트비트 설정
+   * @param {number} [options.chatHeartbeat.intervalMs=30000] - PING 전송 간격(ms)
+   * @param {number} [options.chatHeartbeat.pongTimeoutMs=10000] - PONG 응답 대기 시간(ms), 넘으면 연결을 끊고 재연결
+   * @param {Object} [options.chatSendQueue] - 채팅 전송 대기열 설정 (ChatSendQueue 옵션: intervalMs, maxLength, maxQueueSize, duplicateWindowMs)
+   * @param {Object} [options.timeoutStore] - 임시 채팅 제재 저장소 (load/save/clear 구현, 예: FileTokenStore('./timeouts.json'))
+   * @param {Function} [options.accountTimeoutStore] - 멀티 계정용 임시 채팅 제재 저장소 생성 함수 (channelId => timeoutStore)
    */
   constructor(options) {
     this.clientId = options.clientId;
@@ -20,9 +72,26 @@ export default class Chzzk {
     this.accessToken = options.accessToken || '';
     this.refreshToken = options.refreshToken || '';
     this.autoRefreshToken = options.autoRefreshToken !== false; // 기본값 true
-    this.tokenExpiry = null;
+    this.tokenExpiry = options.tokenExpiry || null;
     this.tokenRefreshThresholdMs = options.tokenRefreshThresholdMs || 5 * 60 * 1000; // 기본 5분
 
+    // 토큰 저장소 - 프로세스 재시작 후에도 토큰을 유지하기 위함 (불러오기는 생성자 끝에서 시작)
+    this.tokenStore = options.tokenStore || null;
+
+    // 인증 진행 중인 state 값 (CSRF 방지용)
+    this.pendingAuthStates = new Map();
+
+    // 멀티 계정 관리 - channelId별 스코프 클라이언트
+    this.accountTokenStore = options.accountTokenStore || null;
+    this.accountTimeoutStore = options.accountTimeoutStore || null;
+    this.accounts = new Map();
+
+    // 같은 틱에 호출된 getChannel 요청 (channelId => 대기 중인 Promise 목록)
+    this.pendingChannelLoads = new Map();
+
+    // 페이지네이션 반복자 (for await...of)
+    this.paginate = this._createPaginators();
+
     // 이벤트 핸들러 저장
     this.eventHandlers = {
       tokenRefresh: [],
@@ -33,15 +102,48 @@ export default class Chzzk {
       chatNotice: [],
       chatError: [],
       chatConnected: [],
-      chatDisconnected: []
+      chatDisconnected: [],
+      chatStateChange: [],
+      chatHeartbeat: [],
+      chatRaw: [],
+      chatUnknown: [],
+      chatModeration: [],
+      chatTimeoutExpired: [],
+      chatRaidDetected: [],
+      chatRaidEnded: [],
+      error: []
     };
+    this.wildcardListeners = []; // '*', 'chat.*' 등 패턴 리스너
+    this.eventListenerOrder = 0; // 같은 우선순위 리스너의 등록 순서
+
+    // 채팅 연결 관련 - 채널별 ChatConnection
+    this.chatConnections = new Map();
+    this.chatMessageParsers = new Map(Object.entries(DEFAULT_CHAT_MESSAGE_PARSERS));
+    this.chatChannelId = null; // 마지막으로 connectChat한 채널
+    this.chatHeartbeatIntervalMs = (options.chatHeartbeat && options.chatHeartbeat.intervalMs) || 30 * 1000;
+    this.chatPongTimeoutMs = (options.chatHeartbeat && options.chatHeartbeat.pongTimeoutMs) || 10 * 1000;
+    this.chatReconnectPolicy = options.chatReconnect === false
+      ? { ...DEFAULT_CHAT_RECONNECT_POLICY, maxAttempts: 0 }
+      : { ...DEFAULT_CHAT_RECONNECT_POLICY, ...options.chatReconnect };
+    this.chatMaxReconnectAttempts = this.chatReconnectPolicy.maxAttempts;
+    this.webSocketFactory = options.webSocketFactory || null;
 
-    // 채팅 연결 관련
-    this.chatSocket = null;
-    this.chatChannelId = null;
-    this.chatHeartbeatInterval = null;
-    this.chatReconnectAttempts = 0;
-    this.chatMaxReconnectAttempts = 5;
+    // 채팅 전송 대기열 (queueChatMessage)
+    this.chatSendQueue = new ChatSendQueue(this, options.chatSendQueue);
+
+    // 채팅 임시 제재 (timeoutChatUser) - 해제 예정 목록을 저장소에 보관해 재시작 후에도 해제
+    this.timeoutStore = options.timeoutStore || null;
+    this.chatTimeouts = new Map(); // userId => { userId, reason, createdAt, expiresAt }
+    this.chatTimeoutTimers = new Map();
+    this.chatTimeoutSaving = Promise.resolve();
+    this.disposed = false; // removeAccount로 정리된 스코프 클라이언트면 true (해제 타이머를 다시 만들지 않음)
+    this.chatTimeoutsReady = this._loadChatTimeouts();
+
+    // 채팅 설정 프리셋과 적용 전 설정 스냅샷
+    this.chatSettingsPresets = new Map(Object.entries(DEFAULT_CHAT_SETTINGS_PRESETS));
+    this.chatSettingsSnapshots = [];
+    this.chatSettingsTimers = new Set(); // 예약된 적용/복원 타이머
+    this.chatSettingsSchedules = new Set(); // scheduleChatSettingsPreset 예약 핸들
 
     this.httpClient = axios.create({
       baseURL: BASE_OPEN_API_URL,
@@ -50,34 +152,85 @@ export default class Chzzk {
       },
     });
 
+    // 요청 속도 제한 - Client 인증 요청은 하나의 버킷, 유저 인증 요청은 계정별 버킷 사용
+    this.accountId = options.accountId || null;
+    this.rateLimiter = options.rateLimiter || (options.rateLimit ? new RateLimiter(options.rateLimit) : null);
+
+    // Client 인증 조회 API 응답 캐시 (getChannels, searchCategory, getVods, getVod)
+    // 저장소 에러는 요청을 실패시키지 않고 error 이벤트로 보고
+    this.responseCache = options.cache instanceof ResponseCache
+      ? options.cache
+      : (options.cache ? new ResponseCache({
+        onError: (error, details) => this._reportError('응답 캐시 저장소 에러', error, details),
+        ...options.cache,
+      }) : null);
+    this.httpClient.interceptors.request.use(async config => {
+      if (this.rateLimiter) {
+        const isUserRequest = !!this._getRequestBearerToken(config);
+        await this.rateLimiter.acquire({
+          type: isUserRequest ? 'user' : 'client',
+          key: isUserRequest ? `user:${this.accountId || 'default'}` : 'client',
+          priority: config.priority,
+          signal: config.signal,
+        });
+      }
+      return config;
+    });
+
+    // 진행 중인 토큰 갱신 요청 (동시에 여러 번 갱신되지 않도록 공유)
+    this.refreshPromise = null;
+
+    // 일시적 실패 재시도 정책
+    this.retryPolicy = options.retry === false ? null : {
+      ...DEFAULT_RETRY_POLICY,
+      ...options.retry,
+    };
+    if (this.retryPolicy) {
+      this.retryPolicy.methods = this.retryPolicy.methods.map(method => method.toUpperCase());
+    }
+
     // 응답 인터셉터 추가 - API 응답 에러 처리 개선
     this.httpClient.interceptors.response.use(
       response => response,
       async error => {
+        const originalRequest = error.config;
+
         // 토큰 만료(401) 에러 자동 처리
+        // 유저 인증 요청만 대상으로 하며, 이미 재시도한 요청은 다시 갱신하지 않음
         if (this.autoRefreshToken && 
             error.response && 
             error.response.status === 401 && 
-            this.refreshToken) {
-          try {
-            // 토큰 갱신
+            this.refreshToken &&
+            originalRequest &&
+            !originalRequest._tokenRetried &&
+            this._getRequestBearerToken(originalRequest)) {
+          originalRequest._tokenRetried = true;
+
+          // 다른 요청이 이미 토큰을 갱신했다면 갱신 없이 새 토큰으로 재시도
+          if (this._getRequestBearerToken(originalRequest) === this.accessToken) {
             await this.refreshAccessToken();
-            this._triggerEvent('tokenRefresh', { timestamp: Date.now() });
-            
-            // 원래 요청 재시도
-            const originalRequest = error.config;
-            if (originalRequest.headers) {
-              originalRequest.headers['Authorization'] = `Bearer ${this.accessToken}`;
-            }
-            return this.httpClient(originalRequest);
-          } catch (refreshError) {
-            this._triggerEvent('tokenExpired', { timestamp: Date.now(), error: refreshError });
-            return Promise.reject(refreshError);
           }
+
+          // 원래 요청 재시도
+          originalRequest.headers['Authorization'] = `Bearer ${this.accessToken}`;
+          return this.httpClient(originalRequest);
+        }
+
+        // 일시적 실패(5xx, 429, 네트워크 에러 등) 재시도
+        const retryDelayMs = this._getRetryDelay(error);
+        if (retryDelayMs !== null) {
+          originalRequest._retryAttempt = (originalRequest._retryAttempt || 1) + 1;
+          // 요청의 signal로 취소되면 대기를 멈추고 ChzzkError를 던짐
+          await sleep(retryDelayMs, originalRequest.signal);
+          return this.httpClient(originalRequest);
         }
         return Promise.reject(error);
       }
     );
+
+    // 저장소 불러오기는 모든 상태를 준비한 뒤 다음 틱에 시작
+    // (동기 저장소가 에러를 던져도 생성 직후 등록한 error 리스너가 받을 수 있도록)
+    this.tokenStoreReady = Promise.resolve().then(() => this._loadTokensFromStore());
   }
 
   /**
@@ -120,11 +273,15 @@ export default class Chzzk {
       state,
     };
 
+    // 저장소 불러오기가 새로 발급받은 토큰을 덮어쓰지 않도록 먼저 대기
+    await this.tokenStoreReady;
+
     try {
       const res = await this.httpClient.post('/auth/v1/token', body);
       this.accessToken = res.data.accessToken;
       this.refreshToken = res.data.refreshToken;
       this._setTokenExpiry(res.data.expiresIn);
+      await this._saveTokensToStore();
       return res.data;
     } catch (error) {
       this._handleApiError(error, '액세스 토큰 발급 실패');
@@ -133,12 +290,39 @@ export default class Chzzk {
 
   /**
    * Refresh Token으로 Access Token 갱신
+   * 동시에 여러 번 호출되어도 실제 갱신 요청은 한 번만 보내고 결과를 공유합니다.
+   * 갱신에 성공하면 tokenRefresh, 실패하면 tokenExpired 이벤트가 발생합니다.
    * @returns {Promise<Object>} 갱신된 토큰 정보 객체
    * ([1](https://chzzk.gitbook.io/chzzk/chzzk-api/authorization#치지직-access-token-갱신))
    */
   async refreshAccessToken() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this._requestTokenRefresh()
+        .then((data) => {
+          this._triggerEvent('tokenRefresh', { timestamp: Date.now() });
+          return data;
+        }, (error) => {
+          this._triggerEvent('tokenExpired', { timestamp: Date.now(), error });
+          throw error;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+
+    return this.refreshPromise;
+  }
+
+  /**
+   * 토큰 갱신 요청
+   * @returns {Promise<Object>} 갱신된 토큰 정보 객체
+   * @private
+   */
+  async _requestTokenRefresh() {
+    await this.tokenStoreReady;
+
     if (!this.refreshToken) {
-      throw new Error('refreshToken이 설정되어 있지 않습니다.');
+      throw new ChzzkAuthError('refreshToken이 설정되어 있지 않습니다.');
     }
     const body = {
       grantType: 'refresh_token',
@@ -152,6 +336,7 @@ export default class Chzzk {
       this.accessToken = res.data.accessToken;
       this.refreshToken = res.data.refreshToken;
       this._setTokenExpiry(res.data.expiresIn);
+      await this._saveTokensToStore();
       return res.data;
     } catch (error) {
       this._handleApiError(error, '액세스 토큰 갱신 실패');
@@ -183,6 +368,12 @@ export default class Chzzk {
       } else if (tokenTypeHint === 'refresh_token' && token === this.refreshToken) {
         this.refreshToken = '';
       }
+
+      if (this.accessToken || this.refreshToken) {
+        await this._saveTokensToStore();
+      } else {
+        await this._clearTokenStore();
+      }
       
       return res.data;
     } catch (error) {
@@ -190,6 +381,179 @@ export default class Chzzk {
     }
   }
 
+  /**
+   * 인증 요청 생성
+   * 암호학적으로 안전한 state를 생성해 보관하고, 인증 코드 요청 URL을 만듭니다.
+   * @param {string} redirectUri - 인증 완료 후 리다이렉트될 URL
+   * @returns {Promise<{url: string, state: string}>} 인증 URL과 state
+   */
+  async createAuthorizationRequest(redirectUri) {
+    this._pruneAuthorizationStates();
+
+    const state = await generateAuthorizationState();
+    this.pendingAuthStates.set(state, {
+      redirectUri,
+      expiresAt: Date.now() + AUTH_STATE_TTL_MS,
+    });
+
+    return {
+      url: this.getAuthorizationCodeUrl(redirectUri, state),
+      state,
+    };
+  }
+
+  /**
+   * 리다이렉트로 돌아온 state 검증
+   * 검증에 성공한 state는 재사용할 수 없도록 제거됩니다.
+   * @param {string} state - 리다이렉트 쿼리의 state
+   * @returns {Object} state 생성 시 보관한 정보 ({ redirectUri })
+   */
+  verifyAuthorizationState(state) {
+    this._pruneAuthorizationStates();
+
+    const pending = state && this.pendingAuthStates.get(state);
+    if (!pending) {
+      throw new ChzzkAuthError('유효하지 않거나 만료된 state입니다.');
+    }
+
+    this.pendingAuthStates.delete(state);
+    return { redirectUri: pending.redirectUri };
+  }
+
+  /**
+   * 인증 리다이렉트 처리
+   * state를 검증한 뒤 인증 코드로 Access Token을 발급받습니다.
+   * @param {Object} query - 리다이렉트 쿼리 파라미터
+   * @param {string} query.code - 인증 코드
+   * @param {string} query.state - state
+   * @returns {Promise<Object>} 토큰 정보 객체
+   */
+  async handleAuthorizationCallback(query) {
+    const { code, state } = query || {};
+    if (!code) {
+      throw new ChzzkValidationError('인증 코드가 필요합니다.');
+    }
+
+    this.verifyAuthorizationState(state);
+    return this.issueAccessTokenByCode(code, state);
+  }
+
+  /**
+   * 로컬 HTTP 서버로 인증 진행 (Node.js 전용, CLI/데스크톱 봇용)
+   * redirectUri의 호스트/포트로 서버를 띄우고, 리다이렉트를 받으면 토큰을 발급받은 뒤 서버를 닫습니다.
+   * @param {string} redirectUri - 개발자센터에 등록한 리다이렉트 URL (예: http://localhost:8080/callback)
+   * @param {Object} options - 옵션
+   * @param {Function} options.onAuthorizationUrl - 인증 URL을 전달받을 함수 (서버가 준비되면 호출, 사용자에게 URL을 보여주는 데 사용)
+   * @param {number} [options.timeoutMs=300000] - 인증 대기 시간(ms) - 기본 5분
+   * @returns {Promise<Object>} 토큰 정보 객체
+   */
+  async authorizeWithLocalServer(redirectUri, options = {}) {
+    const redirect = new URL(redirectUri);
+    if (redirect.protocol !== 'http:') {
+      throw new ChzzkValidationError('로컬 인증 서버는 http 리다이렉트 URL만 지원합니다.');
+    }
+
+    const { onAuthorizationUrl, timeoutMs = 5 * 60 * 1000 } = options;
+    if (typeof onAuthorizationUrl !== 'function') {
+      throw new ChzzkValidationError('인증 URL을 전달받을 onAuthorizationUrl 함수가 필요합니다.');
+    }
+
+    const http = await import('http');
+    const { url, state } = await this.createAuthorizationRequest(redirectUri);
+
+    return new Promise((resolve, reject) => {
+      let timeoutId = null;
+      let handled = false; // 첫 번째 유효한 콜백을 처리 중이거나 처리했는지 여부
+
+      const finish = (error, tokenInfo) => {
+        clearTimeout(timeoutId);
+        server.close();
+        this.pendingAuthStates.delete(state);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(tokenInfo);
+        }
+      };
+
+      const server = http.createServer(async (req, res) => {
+        const requestUrl = new URL(req.url, redirect);
+        if (requestUrl.pathname !== redirect.pathname) {
+          res.writeHead(404);
+          res.end();
+          return;
+        }
+
+        // 다른 state로 들어온 요청은 거부하고 계속 대기
+        if (requestUrl.searchParams.get('state') !== state) {
+          res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+          res.end('유효하지 않은 state입니다.');
+          return;
+        }
+
+        // 첫 번째 콜백 이후의 요청(새로고침 등)은 결과에 영향을 주지 않음
+        if (handled) {
+          res.writeHead(409, { 'Content-Type': 'text/plain; charset=utf-8' });
+          res.end('이미 처리된 인증 요청입니다.');
+          return;
+        }
+        handled = true;
+
+        try {
+          const tokenInfo = await this.handleAuthorizationCallback({
+            code: requestUrl.searchParams.get('code'),
+            state,
+          });
+          res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+          res.end('인증이 완료되었습니다. 이 창을 닫아도 됩니다.');
+          finish(null, tokenInfo);
+        } catch (error) {
+          res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+          res.end('인증에 실패했습니다.');
+          finish(error);
+        }
+      });
+
+      server.on('error', finish);
+      server.listen(Number(redirect.port) || 80, redirect.hostname, () => {
+        timeoutId = setTimeout(() => {
+          finish(new ChzzkAuthError('인증 대기 시간이 초과되었습니다.'));
+        }, timeoutMs);
+        onAuthorizationUrl(url);
+      });
+    });
+  }
+
+  /**
+   * 인증 리다이렉트 처리 미들웨어 (Express 등 (req, res, next) 형식)
+   * 발급된 토큰 정보는 req.chzzkToken에 담겨 다음 미들웨어로 전달됩니다.
+   * @returns {Function} 미들웨어 함수
+   */
+  authorizationCallbackMiddleware() {
+    return async (req, res, next) => {
+      try {
+        const query = req.query || Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+        req.chzzkToken = await this.handleAuthorizationCallback(query);
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  /**
+   * 만료된 인증 state 정리
+   * @private
+   */
+  _pruneAuthorizationStates() {
+    const now = Date.now();
+    for (const [state, pending] of this.pendingAuthStates) {
+      if (pending.expiresAt <= now) {
+        this.pendingAuthStates.delete(state);
+      }
+    }
+  }
+
   /**
    * ----------------------------------------------------------------------------
    * 2. User (유저 정보) ([2](https://chzzk.gitbook.io/chzzk/chzzk-api/user))
@@ -224,11 +588,106 @@ export default class Chzzk {
 
   /**
    * 여러 채널의 정보를 조회
+   * 중복 ID는 제거되며, API 최대 개수를 넘으면 나누어 요청한 뒤 결과를 합칩니다.
    * @param {string[]} channelIds - 조회할 채널 ID 배열
+   * @param {Object} [options] - 조회 옵션
+   * @param {number} [options.concurrency=4] - 나누어 요청할 때 동시에 보낼 최대 요청 수
    * @returns {Promise<Object>} 채널 정보 객체
    * ([3](https://chzzk.gitbook.io/chzzk/chzzk-api/channel))
    */
-  async getChannels(channelIds = []) {
+  async getChannels(channelIds = [], options = {}) {
+    const { concurrency = 4 } = options;
+    const uniqueIds = Array.from(new Set(channelIds));
+
+    if (!this.responseCache) {
+      return this._fetchChannels(uniqueIds, concurrency);
+    }
+
+    // 캐시는 채널 단위로 저장하여 다른 조합의 요청에서도 재사용
+    const cachedChannels = new Map();
+    const missingIds = [];
+    const staleIds = [];
+    for (const channelId of uniqueIds) {
+      const hit = await this.responseCache.lookup('channels', channelId);
+      if (!hit) {
+        missingIds.push(channelId);
+        continue;
+      }
+      cachedChannels.set(channelId, hit.value);
+      if (hit.stale) {
+        staleIds.push(channelId);
+      }
+    }
+
+    if (staleIds.length > 0) {
+      this.responseCache.revalidate('channels', staleIds.join(','), async () => {
+        await this._storeChannels(await this._fetchChannels(staleIds, concurrency));
+      });
+    }
+
+    let result = { code: 200, message: null, content: { channels: [] } };
+    if (missingIds.length > 0) {
+      result = await this._fetchChannels(missingIds, concurrency);
+      const fetched = await this._storeChannels(result);
+      fetched.forEach(channel => cachedChannels.set(channel.channelId, channel));
+    }
+
+    return {
+      ...result,
+      content: {
+        ...result.content,
+        channels: uniqueIds.filter(id => cachedChannels.has(id)).map(id => cachedChannels.get(id)),
+      },
+    };
+  }
+
+  /**
+   * 채널 정보 조회 (API 최대 개수씩 나누어 요청 후 결과 병합)
+   * @param {string[]} channelIds - 중복이 제거된 채널 ID 배열
+   * @param {number} concurrency - 동시에 보낼 최대 요청 수
+   * @returns {Promise<Object>} 채널 정보 객체
+   * @private
+   */
+  async _fetchChannels(channelIds, concurrency) {
+    const chunks = [];
+    for (let i = 0; i < channelIds.length; i += MAX_CHANNEL_IDS_PER_REQUEST) {
+      chunks.push(channelIds.slice(i, i + MAX_CHANNEL_IDS_PER_REQUEST));
+    }
+    if (chunks.length <= 1) {
+      return this._requestChannels(channelIds);
+    }
+
+    const results = await mapWithConcurrency(chunks, concurrency, chunk => this._requestChannels(chunk));
+    return {
+      ...results[0],
+      content: {
+        ...results[0].content,
+        channels: results.flatMap(result => (result && result.content && result.content.channels) || []),
+      },
+    };
+  }
+
+  /**
+   * 조회한 채널 정보를 채널 단위로 캐시에 저장
+   * @param {Object} result - 채널 정보 조회 결과
+   * @returns {Promise<Object[]>} 결과에 포함된 채널 목록
+   * @private
+   */
+  async _storeChannels(result) {
+    const channels = (result && result.content && result.content.channels) || [];
+    for (const channel of channels) {
+      await this.responseCache.set('channels', channel.channelId, channel);
+    }
+    return channels;
+  }
+
+  /**
+   * 채널 정보 조회 요청 (API 최대 개수 이하)
+   * @param {string[]} channelIds - 조회할 채널 ID 배열
+   * @returns {Promise<Object>} 채널 정보 객체
+   * @private
+   */
+  async _requestChannels(channelIds) {
     // Client 인증 API
     // => Client-Id, Client-Secret 헤더 필요 ([1](https://chzzk.gitbook.io/chzzk/chzzk-api/tips#client-인증-api))
     const headers = {
@@ -251,18 +710,47 @@ export default class Chzzk {
 
   /**
    * 단일 채널 정보 조회 (편의 메서드)
+   * 같은 틱에 호출된 getChannel 요청은 하나의 getChannels 요청으로 합쳐집니다.
    * @param {string} channelId - 조회할 채널 ID
    * @returns {Promise<Object>} 채널 정보 객체
    */
-  async getChannel(channelId) {
-    const result = await this.getChannels([channelId]);
-    if (result && result.code === 200 && result.content && result.content.channels && result.content.channels.length > 0) {
-      return {
-        ...result,
-        content: result.content.channels[0]
-      };
+  getChannel(channelId) {
+    return new Promise((resolve, reject) => {
+      const waiters = this.pendingChannelLoads.get(channelId) || [];
+      waiters.push({ resolve, reject });
+      this.pendingChannelLoads.set(channelId, waiters);
+
+      if (this.pendingChannelLoads.size === 1 && waiters.length === 1) {
+        Promise.resolve().then(() => this._flushChannelLoads());
+      }
+    });
+  }
+
+  /**
+   * 대기 중인 getChannel 요청을 한 번에 조회
+   * @private
+   */
+  async _flushChannelLoads() {
+    const pending = this.pendingChannelLoads;
+    this.pendingChannelLoads = new Map();
+
+    try {
+      const result = await this.getChannels(Array.from(pending.keys()));
+      const channels = (result && result.content && result.content.channels) || [];
+      const channelsById = new Map(channels.map(channel => [channel.channelId, channel]));
+
+      for (const [channelId, waiters] of pending) {
+        const channel = channelsById.get(channelId);
+        const channelResult = channel
+          ? { ...result, content: channel }
+          : { ...result, content: { ...result.content, channels: [] } };
+        waiters.forEach(waiter => waiter.resolve(channelResult));
+      }
+    } catch (error) {
+      for (const waiters of pending.values()) {
+        waiters.forEach(waiter => waiter.reject(error));
+      }
     }
-    return result;
   }
 
   /**
@@ -287,11 +775,13 @@ export default class Chzzk {
     params.append('size', size);
 
     try {
-      const res = await this.httpClient.get('/open/v1/categories/search', {
-        headers,
-        params,
+      return await this._withCache('categories', params.toString(), async () => {
+        const res = await this.httpClient.get('/open/v1/categories/search', {
+          headers,
+          params,
+        });
+        return res.data;
       });
-      return res.data;
     } catch (error) {
       this._handleApiError(error, '카테고리 검색 실패');
     }
@@ -307,10 +797,12 @@ export default class Chzzk {
    * 라이브 목록 조회
    * @param {number} [size=20] - 요청 사이즈
    * @param {string} [nextCursor] - 다음 페이지 커서
+   * @param {Object} [options] - 요청 옵션
+   * @param {AbortSignal} [options.signal] - 요청 취소 신호
    * @returns {Promise<Object>} 라이브 목록 결과
    * ([5](https://chzzk.gitbook.io/chzzk/chzzk-api/live#라이브-목록-조회))
    */
-  async getLiveList(size = 20, nextCursor = '') {
+  async getLiveList(size = 20, nextCursor = '', options = {}) {
     const headers = {
       'Client-Id': this.clientId,
       'Client-Secret': this.clientSecret,
@@ -325,6 +817,7 @@ export default class Chzzk {
       const res = await this.httpClient.get('/open/v1/lives', {
         headers,
         params,
+        signal: options.signal,
       });
       return res.data;
     } catch (error) {
@@ -389,6 +882,7 @@ export default class Chzzk {
           Authorization: `Bearer ${this.accessToken}`,
         },
       });
+      await this._invalidateOwnChannelCache();
       return res.data;
     } catch (error) {
       this._handleApiError(error, '방송 설정 변경 실패');
@@ -404,10 +898,13 @@ export default class Chzzk {
   /**
    * 채팅 메시지 전송
    * @param {string} message - 전송할 메시지 (최대 100자)
+   * @param {Object} [options] - 요청 옵션
+   * @param {boolean} [options.retry=false] - 일시적 실패 시 재시도 여부 (POST 요청이라 기본적으로 재시도하지 않음, 중복 전송될 수 있음)
+   * @param {AbortSignal} [options.signal] - 요청과 재시도 대기를 취소하는 신호
    * @returns {Promise<Object>} 전송 결과
    * ([6](https://chzzk.gitbook.io/chzzk/chzzk-api/chat#채팅-메시지-전송))
    */
-  async sendChatMessage(message) {
+  async sendChatMessage(message, options = {}) {
     await this._ensureValidToken();
     
     try {
@@ -416,6 +913,9 @@ export default class Chzzk {
         headers: {
           Authorization: `Bearer ${this.accessToken}`,
         },
+        priority: 'high', // 속도 제한 대기열에서 다른 요청보다 먼저 처리
+        retry: options.retry,
+        signal: options.signal,
       });
       return res.data;
     } catch (error) {
@@ -423,6 +923,18 @@ export default class Chzzk {
     }
   }
 
+  /**
+   * 채팅 메시지 전송 예약 (전송 대기열 사용)
+   * 100자가 넘는 메시지는 나눠서 보내고, 전송 간격과 중복 메시지를 관리합니다. (ChatSendQueue 참고)
+   * @param {string} message - 전송할 메시지
+   * @param {Object} [options] - 전송 옵션
+   * @param {'high'|'normal'|'low'} [options.priority='normal'] - 전송 우선순위
+   * @returns {Promise<Object[]>} 조각별 전송 결과
+   */
+  queueChatMessage(message, options) {
+    return this.chatSendQueue.send(message, options);
+  }
+
   /**
    * 채팅 공지 등록
    * @param {Object} payload - 공지 내용
@@ -505,6 +1017,7 @@ export default class Chzzk {
    * @param {string} [options.campaignId] - 캠페인 ID
    * @param {string} [options.categoryId] - 카테고리 ID
    * @param {string} [options.fulfillmentState] - 지급 상태
+   * @param {AbortSignal} [options.signal] - 요청 취소 신호
    * @returns {Promise<Object>} 조회 결과
    * ([7](https://chzzk.gitbook.io/chzzk/chzzk-api/drops#1.2-드롭스-리워드-지급-요청-조회-api))
    */
@@ -527,6 +1040,7 @@ export default class Chzzk {
       const res = await this.httpClient.get('/open/v1/drops/reward-claims', {
         headers,
         params,
+        signal: options.signal,
       });
       return res.data;
     } catch (error) {
@@ -538,10 +1052,12 @@ export default class Chzzk {
    * 드롭스 리워드 지급 상태 변경
    * @param {string[]} claimIds - 클레임 ID 배열
    * @param {'CLAIMED'|'FULFILLED'} fulfillmentState - 변경할 상태
+   * @param {Object} [options] - 요청 옵션
+   * @param {boolean} [options.retry] - 일시적 실패 시 재시도 여부 (PUT 요청이므로 기본적으로 재시도하지 않음)
    * @returns {Promise<Object>} 변경 결과
    * ([7](https://chzzk.gitbook.io/chzzk/chzzk-api/drops#1.3-드롭스-리워드-지급-api))
    */
-  async updateDropsRewardClaims(claimIds, fulfillmentState) {
+  async updateDropsRewardClaims(claimIds, fulfillmentState, options = {}) {
     const headers = {
       'Client-Id': this.clientId,
       'Client-Secret': this.clientSecret,
@@ -554,6 +1070,7 @@ export default class Chzzk {
     try {
       const res = await this.httpClient.put('/open/v1/drops/reward-claims', body, {
         headers,
+        retry: options.retry,
       });
       return res.data;
     } catch (error) {
@@ -567,19 +1084,50 @@ export default class Chzzk {
    * ----------------------------------------------------------------------------
    */
 
+  /**
+   * 이벤트 이름 등록
+   * 확장 기능이 자체 이벤트를 추가할 때 사용합니다. 이미 등록된 이름이면 아무 일도 하지 않습니다.
+   * @param {string} eventName - 이벤트 이름 (네임스페이스는 점으로 구분, 예: 'poll.started')
+   */
+  registerEvent(eventName) {
+    if (typeof eventName !== 'string' || !eventName || eventName.includes('*')) {
+      throw new ChzzkValidationError(`올바르지 않은 이벤트 이름: ${eventName}`);
+    }
+
+    if (!this.eventHandlers[eventName]) {
+      this.eventHandlers[eventName] = [];
+    }
+  }
+
   /**
    * 이벤트 리스너 등록
-   * @param {string} eventName - 이벤트 이름
-   * @param {Function} handler - 이벤트 발생 시 호출할 함수
+   * '*'는 모든 이벤트를, 'chat.*'은 chat 네임스페이스의 이벤트(chatMessage, chat.poll 등)를,
+   * 'chat*'은 chat으로 시작하는 이벤트를 받습니다. 핸들러는 (data, eventName)으로 호출됩니다.
+   * @param {string} eventName - 이벤트 이름 또는 와일드카드 패턴
+   * @param {Function} handler - 이벤트 발생 시 호출할 함수 (Promise를 반환하면 실패 시 error 이벤트 발생)
+   * @param {Object} [options] - 리스너 옵션
+   * @param {number} [options.priority=0] - 실행 우선순위 (높을수록 먼저, 같으면 등록 순서대로)
    * @returns {Function} 리스너 제거를 위한 함수
    */
-  on(eventName, handler) {
-    if (!this.eventHandlers[eventName]) {
-      throw new Error(`지원하지 않는 이벤트: ${eventName}`);
+  on(eventName, handler, options = {}) {
+    if (typeof handler !== 'function') {
+      throw new ChzzkValidationError('이벤트 핸들러는 함수여야 합니다.');
+    }
+
+    const listener = {
+      handler,
+      priority: options.priority || 0,
+      order: this.eventListenerOrder++
+    };
+
+    if (isEventPattern(eventName)) {
+      this.wildcardListeners.push({ ...listener, pattern: eventName });
+    } else if (this.eventHandlers[eventName]) {
+      this.eventHandlers[eventName].push(listener);
+    } else {
+      throw new ChzzkValidationError(`지원하지 않는 이벤트: ${eventName}`);
     }
 
-    this.eventHandlers[eventName].push(handler);
-    
     // 리스너 제거 함수 반환
     return () => {
       this.off(eventName, handler);
@@ -588,33 +1136,52 @@ export default class Chzzk {
 
   /**
    * 이벤트 리스너 제거
-   * @param {string} eventName - 이벤트 이름
+   * @param {string} eventName - 등록할 때 사용한 이벤트 이름 또는 와일드카드 패턴
    * @param {Function} handler - 제거할 핸들러 함수
    */
   off(eventName, handler) {
-    if (!this.eventHandlers[eventName]) {
+    const listeners = isEventPattern(eventName) ? this.wildcardListeners : this.eventHandlers[eventName];
+    if (!listeners) {
       return;
     }
 
-    const index = this.eventHandlers[eventName].indexOf(handler);
+    const index = listeners.findIndex(listener =>
+      listener.handler === handler && (!listener.pattern || listener.pattern === eventName)
+    );
     if (index !== -1) {
-      this.eventHandlers[eventName].splice(index, 1);
+      listeners.splice(index, 1);
     }
   }
 
   /**
    * 이벤트 한 번만 수신
-   * @param {string} eventName - 이벤트 이름
+   * @param {string} eventName - 이벤트 이름 또는 와일드카드 패턴
    * @param {Function} handler - 이벤트 핸들러
+   * @param {Object} [options] - 리스너 옵션 (on()과 동일)
    * @returns {Function} 리스너 제거를 위한 함수
    */
-  once(eventName, handler) {
-    const onceHandler = (data) => {
+  once(eventName, handler, options) {
+    const onceHandler = (data, name) => {
       this.off(eventName, onceHandler);
-      handler(data);
+      return handler(data, name);
     };
     
-    return this.on(eventName, onceHandler);
+    return this.on(eventName, onceHandler, options);
+  }
+
+  /**
+   * 이벤트 발생
+   * registerEvent()로 등록한 확장 이벤트를 발생시킬 때 사용합니다.
+   * @param {string} eventName - 이벤트 이름
+   * @param {Object} data - 이벤트 데이터
+   * @returns {Promise<void>} 비동기 핸들러가 모두 끝나면 resolve (핸들러 에러는 error 이벤트로 전달)
+   */
+  emit(eventName, data) {
+    if (!this.eventHandlers[eventName]) {
+      throw new ChzzkValidationError(`지원하지 않는 이벤트: ${eventName}`);
+    }
+
+    return this._triggerEvent(eventName, data);
   }
 
   /**
@@ -624,221 +1191,292 @@ export default class Chzzk {
    */
 
   /**
-   * 채팅 웹소켓 연결
-   * @param {string} channelId - 연결할 채널 ID
-   * @returns {Promise<void>}
+   * 채널별 채팅 연결 가져오기 (없으면 생성)
+   * 채널마다 독립적인 웹소켓, 하트비트, 재연결을 가지며 여러 채널에 동시에 연결할 수 있습니다.
+   * @param {string} channelId - 채널 ID
+   * @returns {ChatConnection} 채팅 연결 객체
    */
-  async connectChat(channelId) {
+  chat(channelId) {
     if (!channelId) {
-      throw new Error('채널 ID가 필요합니다.');
+      throw new ChzzkValidationError('채널 ID가 필요합니다.');
     }
 
-    if (this.chatSocket) {
-      await this.disconnectChat();
+    let connection = this.chatConnections.get(channelId);
+    if (!connection) {
+      connection = new ChatConnection(this, channelId);
+      this.chatConnections.set(channelId, connection);
     }
+    return connection;
+  }
 
+  /**
+   * 채팅 웹소켓 연결
+   * 다른 채널의 연결은 유지되며, 같은 채널에 이미 연결되어 있으면 다시 연결합니다.
+   * 연결이 끊기면 재연결 정책에 따라 새 채팅 접속 토큰을 받아 자동으로 재연결합니다.
+   * @param {string} channelId - 연결할 채널 ID
+   * @returns {Promise<void>}
+   */
+  async connectChat(channelId) {
+    const connection = this.chat(channelId);
     this.chatChannelId = channelId;
-    
-    try {
-      // 채팅 접속 토큰 가져오기
-      const chatAccessToken = await this._getChatAccessToken(channelId);
-      
-      return new Promise((resolve, reject) => {
-        try {
-          // 웹소켓 연결
-          this.chatSocket = new WebSocket(CHAT_WEBSOCKET_URL);
-          
-          this.chatSocket.onopen = () => {
-            // 웹소켓 연결 성공 후 인증 메시지 전송
-            this._sendChatAuthMessage(chatAccessToken);
-            
-            // 하트비트 시작
-            this._startChatHeartbeat();
-            
-            this._triggerEvent('chatConnected', { channelId });
-            resolve();
-          };
-          
-          this.chatSocket.onclose = (event) => {
-            this._cleanupChatConnection();
-            this._triggerEvent('chatDisconnected', { channelId, code: event.code, reason: event.reason });
-            
-            // 자동 재연결 시도
-            if (this.chatReconnectAttempts < this.chatMaxReconnectAttempts) {
-              this.chatReconnectAttempts++;
-              setTimeout(() => {
-                this.connectChat(channelId).catch(() => {});
-              }, 1000 * Math.pow(2, this.chatReconnectAttempts));
-            }
-          };
-          
-          this.chatSocket.onerror = (error) => {
-            this._triggerEvent('chatError', { error });
-            reject(error);
-          };
-          
-          this.chatSocket.onmessage = (event) => {
-            try {
-              const message = JSON.parse(event.data);
-              this._handleChatMessage(message);
-            } catch (error) {
-              this._triggerEvent('chatError', { error, rawMessage: event.data });
-            }
-          };
-        } catch (error) {
-          reject(error);
-        }
-      });
-    } catch (error) {
-      this._handleApiError(error, '채팅 연결 실패');
-    }
+    await connection.connect();
   }
 
   /**
    * 채팅 연결 종료
+   * 진행 중인 재연결도 함께 중단합니다.
+   * @param {string} [channelId] - 종료할 채널 ID (생략하면 모든 채널)
    * @returns {Promise<void>}
    */
-  async disconnectChat() {
-    return new Promise((resolve) => {
-      if (!this.chatSocket) {
-        resolve();
-        return;
-      }
-      
-      this._cleanupChatConnection();
-      
-      if (this.chatSocket.readyState === WebSocket.OPEN) {
-        this.chatSocket.onclose = () => {
-          this.chatSocket = null;
-          resolve();
-        };
-        this.chatSocket.close();
-      } else {
-        this.chatSocket = null;
-        resolve();
+  async disconnectChat(channelId) {
+    if (channelId) {
+      const connection = this.chatConnections.get(channelId);
+      if (connection) {
+        await connection.disconnect();
       }
-    });
+      return;
+    }
+
+    await Promise.all(Array.from(this.chatConnections.values(), connection => connection.disconnect()));
   }
 
   /**
-   * 채팅 하트비트 시작
-   * @private
+   * 채팅 연결 목록
+   * @returns {ChatConnection[]} 생성된 채팅 연결 객체 배열
    */
-  _startChatHeartbeat() {
-    this._stopChatHeartbeat();
-    
-    this.chatHeartbeatInterval = setInterval(() => {
-      if (this.chatSocket && this.chatSocket.readyState === WebSocket.OPEN) {
-        this.chatSocket.send(JSON.stringify({ type: 'PING' }));
-      }
-    }, 30000); // 30초마다 핑
+  getChatConnections() {
+    return Array.from(this.chatConnections.values());
   }
 
   /**
-   * 채팅 하트비트 중지
-   * @private
+   * 채팅 연결 상태
+   * @param {string} [channelId] - 채널 ID (생략하면 마지막으로 connectChat한 채널)
+   * @returns {'idle'|'connecting'|'authenticating'|'open'|'reconnecting'|'closed'} 연결 상태
    */
-  _stopChatHeartbeat() {
-    if (this.chatHeartbeatInterval) {
-      clearInterval(this.chatHeartbeatInterval);
-      this.chatHeartbeatInterval = null;
-    }
+  getChatState(channelId = this.chatChannelId) {
+    const connection = this.chatConnections.get(channelId);
+    return connection ? connection.getState() : 'idle';
   }
 
   /**
-   * 채팅 연결 정리
-   * @private
+   * 마지막으로 측정한 채팅 왕복 지연 시간
+   * @param {string} [channelId] - 채널 ID (생략하면 마지막으로 connectChat한 채널)
+   * @returns {number|null} 지연 시간(ms), 측정 전이면 null
    */
-  _cleanupChatConnection() {
-    this._stopChatHeartbeat();
-    this.chatReconnectAttempts = 0;
+  getChatLatency(channelId = this.chatChannelId) {
+    const connection = this.chatConnections.get(channelId);
+    return connection ? connection.getLatency() : null;
   }
 
   /**
-   * 채팅 인증 메시지 전송
-   * @param {string} chatAccessToken - 채팅 접속 토큰
-   * @private
+   * 채팅 이벤트 비동기 반복자
+   * for await...of로 정규화된 채팅 이벤트를 순서대로 받습니다. 채팅 연결이 종료되면 반복도 끝납니다.
+   * @param {Object} [options] - 반복자 옵션 (types, channelId, bufferSize, dropPolicy, signal - ChatEventIterator 참고)
+   * @returns {ChatEventIterator} 비동기 반복자
    */
-  _sendChatAuthMessage(chatAccessToken) {
-    if (!this.chatSocket || this.chatSocket.readyState !== WebSocket.OPEN) {
-      return;
-    }
-    
-    const authMessage = {
-      type: 'AUTH',
-      token: chatAccessToken,
-      channelId: this.chatChannelId,
-    };
-    
-    this.chatSocket.send(JSON.stringify(authMessage));
+  chatEvents(options) {
+    return new ChatEventIterator(this, options);
   }
 
   /**
-   * 채팅 메시지 처리
+   * 채팅 이벤트 Readable 스트림 (Node.js, object mode)
+   * 스트림을 destroy하면 이벤트 구독도 해제됩니다.
+   * @param {Object} [options] - chatEvents() 옵션과 동일
+   * @param {number} [options.highWaterMark=16] - 스트림 내부 버퍼 크기 (객체 수)
+   * @returns {Readable} 채팅 이벤트 스트림
+   */
+  chatEventStream(options = {}) {
+    const { highWaterMark = 16, ...iteratorOptions } = options;
+    return Readable.from(this.chatEvents(iteratorOptions), { objectMode: true, highWaterMark });
+  }
+
+  /**
+   * 채팅 기록기 생성
+   * 받은 채팅을 메모리와 JSONL 파일에 기록합니다. start()를 호출해야 기록을 시작합니다.
+   * @param {Object} [options] - 기록 옵션 (directory, filePrefix, maxFileBytes, maxFiles, bufferSize, channelId - ChatRecorder 참고)
+   * @returns {ChatRecorder} 채팅 기록기
+   */
+  createChatRecorder(options) {
+    return new ChatRecorder(this, options);
+  }
+
+  /**
+   * 기록된 채팅 재생 (Node.js 전용)
+   * 기록 파일의 원본 메시지(chatRaw)를 실시간 채팅과 같은 처리 과정으로 다시 전달하므로,
+   * 채팅 연결 없이 봇을 테스트할 수 있습니다. 재생된 이벤트에는 replayed: true가 붙습니다.
+   * JSON으로 읽을 수 없는 줄은 건너뛰고 error 이벤트로 알립니다.
+   * @param {string|string[]} filePaths - 기록 파일 경로 (여러 개면 순서대로 재생)
+   * @param {Object} [options] - 재생 옵션
+   * @param {number} [options.speed=1] - 재생 배속 (Infinity면 대기 없이 재생)
+   * @param {AbortSignal} [options.signal] - 재생 중단 신호
+   * @returns {Promise<number>} 재생한 메시지 수
+   */
+  async replayChat(filePaths, options = {}) {
+    const { speed = 1, signal } = options;
+    if (!(speed > 0)) {
+      throw new ChzzkValidationError('speed는 0보다 커야 합니다.');
+    }
+
+    const fs = await import('fs/promises');
+    let previousAt = null;
+    let count = 0;
+
+    for (const filePath of [].concat(filePaths)) {
+      const content = await fs.readFile(filePath, 'utf8');
+      const entries = [];
+      content.split('\n').forEach((line, index) => {
+        if (!line.trim()) {
+          return;
+        }
+        // 기록 중 종료되어 잘린 줄 등은 건너뛰고 error 이벤트로 알림
+        try {
+          const entry = JSON.parse(line);
+          if (entry && entry.eventName === 'chatRaw') {
+            entries.push(entry);
+          }
+        } catch (error) {
+          this._reportError('채팅 기록 줄 읽기 실패', error, { filePath, lineNumber: index + 1 });
+        }
+      });
+
+      for (const entry of entries) {
+        if (previousAt !== null && speed !== Infinity) {
+          await sleep((entry.recordedAt - previousAt) / speed, signal);
+        }
+        throwIfAborted(signal);
+        previousAt = entry.recordedAt;
+
+        const connection = createReplayConnection(this, entry.channelId);
+        try {
+          this._handleChatMessage(entry.data.raw, connection);
+        } catch (error) {
+          connection._emit('chatError', { error, rawMessage: entry.data.raw });
+        }
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * 채팅 명령어 라우터 생성
+   * command()로 명령어를 등록하고 start()를 호출하면 chatMessage 이벤트를 처리합니다.
+   * @param {Object} [options] - 라우터 설정 (prefix, channelId, caseSensitive, helpCommand, cooldownExemptRole, replyPriority - ChatCommandRouter 참고)
+   * @returns {ChatCommandRouter} 명령어 라우터
+   */
+  createCommandRouter(options) {
+    return new ChatCommandRouter(this, options);
+  }
+
+  /**
+   * 채팅 자동 모더레이션 엔진 생성
+   * start()를 호출하면 chatMessage 이벤트마다 규칙을 검사하고 위반 횟수에 따라 제재합니다.
+   * @param {Object} [options] - 엔진 설정 (rules, escalation, strikeWindowMs, exemptRole, dryRun 등 - ChatModerationEngine 참고)
+   * @returns {ChatModerationEngine} 모더레이션 엔진
+   */
+  createModerationEngine(options) {
+    return new ChatModerationEngine(this, options);
+  }
+
+  /**
+   * 채팅 습격 감지기 생성
+   * start()를 호출하면 chatMessage 이벤트로 메시지 속도, 새 채팅 사용자, 메시지 유사도를 추적합니다.
+   * @param {Object} [options] - 감지 설정 (windowMs, thresholds, minSignals, warmupMs, lockdown, channelId - ChatRaidDetector 참고)
+   * @returns {ChatRaidDetector} 습격 감지기
+   */
+  createRaidDetector(options) {
+    return new ChatRaidDetector(this, options);
+  }
+
+  /**
+   * 채팅 웹소켓 생성
+   * webSocketFactory가 있으면 사용하고, 없으면 전역 WebSocket(브라우저 등), 그마저 없으면 ws 패키지를 사용합니다.
+   * @param {string} url - 웹소켓 URL
+   * @returns {Promise<Object>} WebSocket 호환 객체
+   * @private
+   */
+  async _createChatSocket(url) {
+    if (this.webSocketFactory) {
+      return this.webSocketFactory(url);
+    }
+
+    if (typeof globalThis.WebSocket === 'function') {
+      return new globalThis.WebSocket(url);
+    }
+
+    try {
+      const { default: NodeWebSocket } = await import('ws');
+      return new NodeWebSocket(url);
+    } catch (error) {
+      throw new ChzzkError('WebSocket을 사용할 수 없습니다. Node.js 환경에서는 ws 패키지를 설치하세요. (npm install ws)', { cause: error });
+    }
+  }
+
+  /**
+   * 채팅 메시지 파서 등록
+   * 새 메시지 타입을 처리하거나 기본 파서(CHAT, DONATION, SUBSCRIPTION, NOTICE)를 교체할 수 있습니다.
+   * 이벤트 이름이 처음 쓰이는 것이면 on()으로 구독할 수 있도록 함께 등록됩니다.
+   * @param {string} messageType - 웹소켓 메시지의 type 값
+   * @param {string} eventName - 발생시킬 이벤트 이름
+   * @param {Function} parser - (message, channelId) => 이벤트 데이터 (null을 반환하면 이벤트를 발생시키지 않음)
+   * @returns {Function} 파서 등록 해제 함수 (기본 파서를 교체한 경우 원래 파서로 복원)
+   */
+  registerChatMessageParser(messageType, eventName, parser) {
+    if (!messageType || !eventName || typeof parser !== 'function') {
+      throw new ChzzkValidationError('메시지 타입, 이벤트 이름, 파서 함수가 필요합니다.');
+    }
+
+    this.registerEvent(eventName);
+
+    const previous = this.chatMessageParsers.get(messageType);
+    const entry = { eventName, parse: parser };
+    this.chatMessageParsers.set(messageType, entry);
+
+    return () => {
+      if (this.chatMessageParsers.get(messageType) !== entry) {
+        return;
+      }
+      if (previous) {
+        this.chatMessageParsers.set(messageType, previous);
+      } else {
+        this.chatMessageParsers.delete(messageType);
+      }
+    };
+  }
+
+  /**
+   * 채팅 메시지 처리
+   * 모든 메시지는 chatRaw로 전달되고, 등록된 파서가 있는 타입은 정규화된 이벤트로,
+   * 파서가 없는 타입은 chatUnknown으로 전달됩니다.
    * @param {Object} message - 받은 메시지 객체
+   * @param {ChatConnection} connection - 메시지를 받은 채팅 연결
    * @private
    */
-  _handleChatMessage(message) {
-    switch (message.type) {
-      case 'CHAT':
-        this._triggerEvent('chatMessage', {
-          type: 'message',
-          channelId: this.chatChannelId,
-          userId: message.userId,
-          nickname: message.nickname,
-          message: message.content,
-          badges: message.badges || [],
-          timestamp: message.timestamp || Date.now()
-        });
-        break;
-        
-      case 'DONATION':
-        this._triggerEvent('chatDonation', {
-          type: 'donation',
-          channelId: this.chatChannelId,
-          userId: message.userId,
-          nickname: message.nickname,
-          message: message.content,
-          amount: message.amount,
-          currency: message.currency || 'KRW',
-          isAnonymous: !!message.isAnonymous,
-          badges: message.badges || [],
-          timestamp: message.timestamp || Date.now()
-        });
-        break;
-        
-      case 'SUBSCRIPTION':
-        this._triggerEvent('chatSubscription', {
-          type: 'subscription',
-          channelId: this.chatChannelId,
-          userId: message.userId,
-          nickname: message.nickname,
-          message: message.content,
-          months: message.months || 1,
-          tier: message.tier || 1,
-          tierName: message.tierName || '기본 구독',
-          badges: message.badges || [],
-          timestamp: message.timestamp || Date.now()
-        });
-        break;
-        
-      case 'NOTICE':
-        this._triggerEvent('chatNotice', {
-          type: 'notice',
-          channelId: this.chatChannelId,
-          message: message.content,
-          noticeType: message.noticeType || 'NORMAL',
-          timestamp: message.timestamp || Date.now()
-        });
-        break;
-        
-      case 'PONG':
-        // 핑에 대한 응답, 무시
-        break;
-        
-      default:
-        // 알 수 없는 메시지 타입
-        break;
+  _handleChatMessage(message, connection) {
+    connection._emit('chatRaw', { messageType: message.type, raw: message, timestamp: Date.now() });
+
+    if (message.type === 'PONG') {
+      // 핑에 대한 응답 - 연결 생존 확인 및 지연 시간 측정
+      connection._handlePong();
+      return;
+    }
+
+    const parser = this.chatMessageParsers.get(message.type);
+    if (!parser) {
+      // 알 수 없는 메시지 타입
+      connection._emit('chatUnknown', {
+        type: 'unknown',
+        messageType: message.type,
+        raw: message,
+        timestamp: message.timestamp || Date.now(),
+      });
+      return;
+    }
+
+    const data = parser.parse(message, connection.channelId);
+    if (data) {
+      connection._emit(parser.eventName, data);
     }
   }
 
@@ -887,13 +1525,129 @@ export default class Chzzk {
     }
   }
 
+  /**
+   * 토큰 저장소에서 토큰 불러오기
+   * 저장된 토큰이 있으면 생성자 옵션으로 전달된 토큰보다 우선합니다.
+   * (Refresh Token은 갱신할 때마다 바뀌므로, 환경 변수 등의 오래된 토큰으로 덮어쓰지 않기 위함)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _loadTokensFromStore() {
+    if (!this.tokenStore) {
+      return;
+    }
+
+    try {
+      const saved = await this.tokenStore.load();
+      if (!saved) {
+        return;
+      }
+
+      if (saved.accessToken || saved.refreshToken) {
+        this.accessToken = saved.accessToken || '';
+        this.refreshToken = saved.refreshToken || '';
+        this.tokenExpiry = saved.tokenExpiry || null;
+      }
+    } catch (error) {
+      this._reportError('토큰 저장소 불러오기 실패', error);
+    }
+  }
+
+  /**
+   * 현재 토큰을 토큰 저장소에 저장
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveTokensToStore() {
+    if (!this.tokenStore) {
+      return;
+    }
+
+    await this.tokenStore.save({
+      accessToken: this.accessToken,
+      refreshToken: this.refreshToken,
+      tokenExpiry: this.tokenExpiry,
+    });
+  }
+
+  /**
+   * 토큰 저장소 비우기
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _clearTokenStore() {
+    if (!this.tokenStore) {
+      return;
+    }
+
+    await this.tokenStore.clear();
+  }
+
+  /**
+   * 재시도 대기 시간 계산
+   * 요청 설정의 retry 값(true/false)이 있으면 메서드 기본 정책보다 우선합니다.
+   * @param {Error} error - axios 에러
+   * @returns {number|null} 대기 시간(ms), 재시도하지 않으면 null
+   * @private
+   */
+  _getRetryDelay(error) {
+    const policy = this.retryPolicy;
+    const config = error.config;
+    if (!policy || !config || config.retry === false || axios.isCancel(error)) {
+      return null;
+    }
+
+    const attempt = config._retryAttempt || 1;
+    if (attempt >= policy.maxAttempts) {
+      return null;
+    }
+
+    const method = (config.method || 'get').toUpperCase();
+    if (config.retry !== true && !policy.methods.includes(method)) {
+      return null;
+    }
+
+    if (error.response) {
+      if (!policy.statuses.includes(error.response.status)) {
+        return null;
+      }
+
+      // Retry-After 헤더가 있으면 그만큼 대기 (최대 대기 시간을 넘으면 재시도하지 않음)
+      const retryAfterMs = parseRetryAfter(error.response.headers && error.response.headers['retry-after']);
+      if (retryAfterMs !== null) {
+        return retryAfterMs <= policy.maxDelayMs ? retryAfterMs : null;
+      }
+    } else if (!error.request || !policy.retryNetworkErrors) {
+      return null;
+    }
+
+    const delayMs = Math.min(policy.baseDelayMs * Math.pow(2, attempt - 1), policy.maxDelayMs);
+    return Math.round(delayMs * (1 - policy.jitter * Math.random()));
+  }
+
+  /**
+   * 요청에 사용된 Bearer 토큰 추출
+   * @param {Object} config - axios 요청 설정
+   * @returns {string|null} Bearer 토큰 (유저 인증 요청이 아니면 null)
+   * @private
+   */
+  _getRequestBearerToken(config) {
+    const authorization = config.headers && (config.headers['Authorization'] || config.headers['authorization']);
+    if (typeof authorization !== 'string' || !authorization.startsWith('Bearer ')) {
+      return null;
+    }
+    return authorization.slice('Bearer '.length);
+  }
+
   /**
    * 유효한 토큰 확보
    * @private
    */
   async _ensureValidToken() {
+    await this.tokenStoreReady;
+
     if (!this.accessToken) {
-      throw new Error('Access Token이 설정되어 있지 않습니다. 먼저 발급받으세요.');
+      throw new ChzzkAuthError('Access Token이 설정되어 있지 않습니다. 먼저 발급받으세요.');
     }
 
     // 자동 갱신이 활성화되어 있고, 토큰 만료 시간이 설정되어 있으며, 임계값에 도달한 경우
@@ -905,44 +1659,123 @@ export default class Chzzk {
     }
   }
 
+  /**
+   * 이벤트를 받는 리스너가 있는지 확인 (와일드카드 리스너 포함)
+   * @param {string} eventName - 이벤트 이름
+   * @returns {boolean} 리스너 존재 여부
+   * @private
+   */
+  _hasListeners(eventName) {
+    return (this.eventHandlers[eventName] || []).length > 0
+      || this.wildcardListeners.some(listener => matchEventPattern(listener.pattern, eventName));
+  }
+
   /**
    * 이벤트 트리거
+   * 정확히 일치하는 리스너와 와일드카드 리스너를 우선순위 순서로 실행합니다.
    * @param {string} eventName - 이벤트 이름
    * @param {Object} data - 이벤트 데이터
+   * @returns {Promise<void>} 비동기 핸들러가 모두 끝나면 resolve
    * @private
    */
   _triggerEvent(eventName, data) {
-    if (!this.eventHandlers[eventName]) {
-      return;
-    }
+    // 핸들러 안에서 리스너가 추가/제거되어도 영향받지 않도록 복사본으로 실행
+    const listeners = [
+      ...(this.eventHandlers[eventName] || []),
+      ...this.wildcardListeners.filter(listener => matchEventPattern(listener.pattern, eventName))
+    ].sort((a, b) => b.priority - a.priority || a.order - b.order);
 
-    for (const handler of this.eventHandlers[eventName]) {
+    const pending = [];
+    const onError = (error) => {
+      this._reportError(`이벤트 핸들러 에러 (${eventName})`, error, { eventName, data });
+    };
+
+    for (const { handler } of listeners) {
       try {
-        handler(data);
+        const result = handler(data, eventName);
+        if (result && typeof result.then === 'function') {
+          pending.push(Promise.resolve(result).catch(onError));
+        }
       } catch (error) {
-        console.error(`이벤트 핸들러 에러 (${eventName}):`, error);
+        onError(error);
       }
     }
+
+    return Promise.all(pending).then(() => undefined);
+  }
+
+  /**
+   * 에러 보고
+   * error 이벤트를 받는 리스너('error', '*', 'err*' 등)가 있으면 error 이벤트로 전달하고, 없으면 콘솔에 출력합니다.
+   * error 이벤트 핸들러에서 발생한 에러는 다시 error 이벤트로 보내면 반복될 수 있어 콘솔에 출력합니다.
+   * @param {string} message - 에러 설명
+   * @param {Error} error - 발생한 에러
+   * @param {Object} [details] - 이벤트에 함께 담을 정보
+   * @private
+   */
+  _reportError(message, error, details = {}) {
+    if (details.eventName === 'error' || !this._hasListeners('error')) {
+      console.error(`${message}:`, error);
+      return;
+    }
+
+    this._triggerEvent('error', { message, error, ...details, timestamp: Date.now() });
   }
 
   /**
    * API 에러 처리
+   * 발생한 에러를 ChzzkError 계열 에러로 변환해 throw합니다. (원본 에러는 cause에 보관)
    * @param {Error} error - 발생한 에러
    * @param {string} message - 사용자 친화적 메시지
    * @private
    */
   _handleApiError(error, message) {
-    if (error.response && error.response.data) {
+    // 이미 변환된 에러(예: 토큰 갱신 실패)는 그대로 전달
+    if (error instanceof ChzzkError) {
+      throw error;
+    }
+
+    // signal로 취소된 요청은 네트워크 에러와 구분
+    if (axios.isCancel(error)) {
+      throw new ChzzkError(`${message}: 요청이 취소되었습니다.`, { cause: error });
+    }
+
+    const config = error.config || {};
+    const requestInfo = {
+      method: config.method ? config.method.toUpperCase() : undefined,
+      path: config.url,
+      cause: error,
+    };
+
+    if (error.response) {
       // API 응답에 에러 정보가 포함된 경우
-      const errorData = error.response.data;
-      const errorMsg = `${message}: ${errorData.message || JSON.stringify(errorData)}`;
-      throw new Error(errorMsg);
+      const { status, data: errorData, headers } = error.response;
+      const errorMsg = errorData
+        ? `${message}: ${errorData.message || JSON.stringify(errorData)}`
+        : `${message}: HTTP ${status}`;
+      const details = {
+        ...requestInfo,
+        status,
+        code: errorData ? errorData.code : undefined,
+        responseBody: errorData,
+      };
+
+      if (status === 429) {
+        throw new ChzzkRateLimitError(errorMsg, {
+          ...details,
+          retryAfterMs: parseRetryAfter(headers && headers['retry-after']),
+        });
+      }
+      if (status === 401 || status === 403) {
+        throw new ChzzkAuthError(errorMsg, details);
+      }
+      throw new ChzzkApiError(errorMsg, details);
     } else if (error.request) {
       // 요청은 보냈으나 응답을 받지 못한 경우
-      throw new Error(`${message}: 서버로부터 응답이 없습니다. 네트워크 연결을 확인하세요.`);
+      throw new ChzzkNetworkError(`${message}: 서버로부터 응답이 없습니다. 네트워크 연결을 확인하세요.`, requestInfo);
     } else {
       // 요청 설정 중 에러가 발생한 경우
-      throw new Error(`${message}: ${error.message}`);
+      throw new ChzzkError(`${message}: ${error.message}`, { cause: error });
     }
   }
 
@@ -959,11 +1792,12 @@ export default class Chzzk {
    * @param {number} [options.size=20] - 요청 사이즈
    * @param {string} [options.next] - 다음 페이지 커서
    * @param {string} [options.categoryId] - 카테고리 ID 필터링
+   * @param {AbortSignal} [options.signal] - 요청 취소 신호
    * @returns {Promise<Object>} 검색 결과
    */
   async searchLives(options) {
     if (!options.query) {
-      throw new Error('검색어가 필요합니다.');
+      throw new ChzzkValidationError('검색어가 필요합니다.');
     }
 
     const headers = {
@@ -981,6 +1815,7 @@ export default class Chzzk {
       const res = await this.httpClient.get('/open/v1/search/lives', {
         headers,
         params,
+        signal: options.signal,
       });
       return res.data;
     } catch (error) {
@@ -994,11 +1829,12 @@ export default class Chzzk {
    * @param {string} options.query - 검색어
    * @param {number} [options.size=20] - 요청 사이즈
    * @param {string} [options.next] - 다음 페이지 커서
+   * @param {AbortSignal} [options.signal] - 요청 취소 신호
    * @returns {Promise<Object>} 검색 결과
    */
   async searchChannels(options) {
     if (!options.query) {
-      throw new Error('검색어가 필요합니다.');
+      throw new ChzzkValidationError('검색어가 필요합니다.');
     }
 
     const headers = {
@@ -1015,6 +1851,7 @@ export default class Chzzk {
       const res = await this.httpClient.get('/open/v1/search/channels', {
         headers,
         params,
+        signal: options.signal,
       });
       return res.data;
     } catch (error) {
@@ -1032,7 +1869,7 @@ export default class Chzzk {
    */
   async search(options) {
     if (!options.query) {
-      throw new Error('검색어가 필요합니다.');
+      throw new ChzzkValidationError('검색어가 필요합니다.');
     }
 
     const headers = {
@@ -1068,6 +1905,7 @@ export default class Chzzk {
    * @param {string} [options.channelId] - 특정 채널의 VOD만 조회할 경우 채널 ID
    * @param {number} [options.size=20] - 요청 사이즈
    * @param {string} [options.next] - 다음 페이지 커서
+   * @param {AbortSignal} [options.signal] - 요청 취소 신호
    * @returns {Promise<Object>} VOD 목록
    */
   async getVods(options = {}) {
@@ -1082,11 +1920,14 @@ export default class Chzzk {
     if (options.next) params.append('next', options.next);
     
     try {
-      const res = await this.httpClient.get('/open/v1/vods', {
-        headers,
-        params,
+      return await this._withCache('vods', params.toString(), async () => {
+        const res = await this.httpClient.get('/open/v1/vods', {
+          headers,
+          params,
+          signal: options.signal,
+        });
+        return res.data;
       });
-      return res.data;
     } catch (error) {
       this._handleApiError(error, 'VOD 목록 조회 실패');
     }
@@ -1099,7 +1940,7 @@ export default class Chzzk {
    */
   async getVod(vodId) {
     if (!vodId) {
-      throw new Error('VOD ID가 필요합니다.');
+      throw new ChzzkValidationError('VOD ID가 필요합니다.');
     }
 
     const headers = {
@@ -1108,10 +1949,12 @@ export default class Chzzk {
     };
     
     try {
-      const res = await this.httpClient.get(`/open/v1/vods/${vodId}`, {
-        headers,
+      return await this._withCache('vod', vodId, async () => {
+        const res = await this.httpClient.get(`/open/v1/vods/${vodId}`, {
+          headers,
+        });
+        return res.data;
       });
-      return res.data;
     } catch (error) {
       this._handleApiError(error, 'VOD 상세 정보 조회 실패');
     }
@@ -1122,6 +1965,7 @@ export default class Chzzk {
    * @param {Object} options - 조회 옵션
    * @param {number} [options.size=20] - 요청 사이즈
    * @param {string} [options.next] - 다음 페이지 커서
+   * @param {AbortSignal} [options.signal] - 요청 취소 신호
    * @returns {Promise<Object>} VOD 목록
    */
   async getMyVods(options = {}) {
@@ -1137,6 +1981,7 @@ export default class Chzzk {
           Authorization: `Bearer ${this.accessToken}`,
         },
         params,
+        signal: options.signal,
       });
       return res.data;
     } catch (error) {
@@ -1158,7 +2003,7 @@ export default class Chzzk {
     await this._ensureValidToken();
     
     if (!metadata.title) {
-      throw new Error('VOD 제목이 필요합니다.');
+      throw new ChzzkValidationError('VOD 제목이 필요합니다.');
     }
     
     try {
@@ -1167,6 +2012,7 @@ export default class Chzzk {
           Authorization: `Bearer ${this.accessToken}`,
         },
       });
+      await this.invalidateCache('vods');
       return res.data;
     } catch (error) {
       this._handleApiError(error, 'VOD 업로드 URL 생성 실패');
@@ -1188,7 +2034,7 @@ export default class Chzzk {
     await this._ensureValidToken();
     
     if (!vodId) {
-      throw new Error('VOD ID가 필요합니다.');
+      throw new ChzzkValidationError('VOD ID가 필요합니다.');
     }
     
     try {
@@ -1197,6 +2043,8 @@ export default class Chzzk {
           Authorization: `Bearer ${this.accessToken}`,
         },
       });
+      await this.invalidateCache('vod', vodId);
+      await this.invalidateCache('vods');
       return res.data;
     } catch (error) {
       this._handleApiError(error, 'VOD 메타데이터 수정 실패');
@@ -1212,7 +2060,7 @@ export default class Chzzk {
     await this._ensureValidToken();
     
     if (!vodId) {
-      throw new Error('VOD ID가 필요합니다.');
+      throw new ChzzkValidationError('VOD ID가 필요합니다.');
     }
     
     try {
@@ -1221,6 +2069,8 @@ export default class Chzzk {
           Authorization: `Bearer ${this.accessToken}`,
         },
       });
+      await this.invalidateCache('vod', vodId);
+      await this.invalidateCache('vods');
       return res.data;
     } catch (error) {
       this._handleApiError(error, 'VOD 삭제 실패');
@@ -1238,6 +2088,7 @@ export default class Chzzk {
    * @param {Object} options - 조회 옵션
    * @param {number} [options.size=20] - 요청 사이즈
    * @param {string} [options.next] - 다음 페이지 커서
+   * @param {AbortSignal} [options.signal] - 요청 취소 신호
    * @returns {Promise<Object>} 팔로워 목록
    */
   async getMyFollowers(options = {}) {
@@ -1253,6 +2104,7 @@ export default class Chzzk {
           Authorization: `Bearer ${this.accessToken}`,
         },
         params,
+        signal: options.signal,
       });
       return res.data;
     } catch (error) {
@@ -1265,6 +2117,7 @@ export default class Chzzk {
    * @param {Object} options - 조회 옵션
    * @param {number} [options.size=20] - 요청 사이즈
    * @param {string} [options.next] - 다음 페이지 커서
+   * @param {AbortSignal} [options.signal] - 요청 취소 신호
    * @returns {Promise<Object>} 팔로우 목록
    */
   async getMyFollowings(options = {}) {
@@ -1280,6 +2133,7 @@ export default class Chzzk {
           Authorization: `Bearer ${this.accessToken}`,
         },
         params,
+        signal: options.signal,
       });
       return res.data;
     } catch (error) {
@@ -1296,7 +2150,7 @@ export default class Chzzk {
     await this._ensureValidToken();
     
     if (!channelId) {
-      throw new Error('채널 ID가 필요합니다.');
+      throw new ChzzkValidationError('채널 ID가 필요합니다.');
     }
     
     try {
@@ -1320,7 +2174,7 @@ export default class Chzzk {
     await this._ensureValidToken();
     
     if (!channelId) {
-      throw new Error('채널 ID가 필요합니다.');
+      throw new ChzzkValidationError('채널 ID가 필요합니다.');
     }
     
     try {
@@ -1340,6 +2194,7 @@ export default class Chzzk {
    * @param {Object} options - 조회 옵션
    * @param {number} [options.size=20] - 요청 사이즈
    * @param {string} [options.next] - 다음 페이지 커서
+   * @param {AbortSignal} [options.signal] - 요청 취소 신호
    * @returns {Promise<Object>} 구독자 목록
    */
   async getMySubscribers(options = {}) {
@@ -1355,6 +2210,7 @@ export default class Chzzk {
           Authorization: `Bearer ${this.accessToken}`,
         },
         params,
+        signal: options.signal,
       });
       return res.data;
     } catch (error) {
@@ -1411,6 +2267,7 @@ export default class Chzzk {
    * @param {Object} options - 조회 옵션
    * @param {number} [options.size=20] - 요청 사이즈
    * @param {string} [options.next] - 다음 페이지 커서
+   * @param {AbortSignal} [options.signal] - 요청 취소 신호
    * @returns {Promise<Object>} 채팅 금지 사용자 목록
    */
   async getChatBannedUsers(options = {}) {
@@ -1426,6 +2283,7 @@ export default class Chzzk {
           Authorization: `Bearer ${this.accessToken}`,
         },
         params,
+        signal: options.signal,
       });
       return res.data;
     } catch (error) {
@@ -1445,7 +2303,7 @@ export default class Chzzk {
     await this._ensureValidToken();
     
     if (!banInfo.userId) {
-      throw new Error('사용자 ID가 필요합니다.');
+      throw new ChzzkValidationError('사용자 ID가 필요합니다.');
     }
     
     try {
@@ -1469,7 +2327,7 @@ export default class Chzzk {
     await this._ensureValidToken();
     
     if (!userId) {
-      throw new Error('사용자 ID가 필요합니다.');
+      throw new ChzzkValidationError('사용자 ID가 필요합니다.');
     }
     
     try {
@@ -1489,6 +2347,7 @@ export default class Chzzk {
    * @param {Object} options - 조회 옵션
    * @param {number} [options.size=20] - 요청 사이즈
    * @param {string} [options.next] - 다음 페이지 커서
+   * @param {AbortSignal} [options.signal] - 요청 취소 신호
    * @returns {Promise<Object>} 채팅 모더레이터 목록
    */
   async getChatModerators(options = {}) {
@@ -1504,6 +2363,7 @@ export default class Chzzk {
           Authorization: `Bearer ${this.accessToken}`,
         },
         params,
+        signal: options.signal,
       });
       return res.data;
     } catch (error) {
@@ -1520,7 +2380,7 @@ export default class Chzzk {
     await this._ensureValidToken();
     
     if (!userId) {
-      throw new Error('사용자 ID가 필요합니다.');
+      throw new ChzzkValidationError('사용자 ID가 필요합니다.');
     }
     
     try {
@@ -1544,7 +2404,7 @@ export default class Chzzk {
     await this._ensureValidToken();
     
     if (!userId) {
-      throw new Error('사용자 ID가 필요합니다.');
+      throw new ChzzkValidationError('사용자 ID가 필요합니다.');
     }
     
     try {
@@ -1564,6 +2424,7 @@ export default class Chzzk {
    * @param {Object} options - 조회 옵션
    * @param {number} [options.size=20] - 요청 사이즈
    * @param {string} [options.next] - 다음 페이지 커서
+   * @param {AbortSignal} [options.signal] - 요청 취소 신호
    * @returns {Promise<Object>} 채팅 필터링 단어 목록
    */
   async getChatFilterWords(options = {}) {
@@ -1579,6 +2440,7 @@ export default class Chzzk {
           Authorization: `Bearer ${this.accessToken}`,
         },
         params,
+        signal: options.signal,
       });
       return res.data;
     } catch (error) {
@@ -1595,7 +2457,7 @@ export default class Chzzk {
     await this._ensureValidToken();
     
     if (!word) {
-      throw new Error('필터링할 단어가 필요합니다.');
+      throw new ChzzkValidationError('필터링할 단어가 필요합니다.');
     }
     
     try {
@@ -1619,7 +2481,7 @@ export default class Chzzk {
     await this._ensureValidToken();
     
     if (!wordId) {
-      throw new Error('필터링 단어 ID가 필요합니다.');
+      throw new ChzzkValidationError('필터링 단어 ID가 필요합니다.');
     }
     
     try {
@@ -1633,4 +2495,4444 @@ export default class Chzzk {
       this._handleApiError(error, '채팅 필터링 단어 삭제 실패');
     }
   }
-} 
\ No newline at end of file
+
+  /**
+   * 채팅 임시 제재
+   * 지금 채팅을 금지하고, durationMs 뒤에 unbanChatUser로 해제합니다.
+   * 해제 예정 목록은 timeoutStore에 저장되어 프로세스가 재시작되어도 해제되며, 해제되면 chatTimeoutExpired 이벤트가 발생합니다.
+   * 이미 임시 제재 중인 사용자면 해제 시각을 새로 정합니다.
+   * 해제 예정을 저장하지 못하면 채팅을 금지하지 않고 ChzzkError를 던집니다.
+   * @param {string} userId - 제재할 사용자 ID
+   * @param {number} durationMs - 제재 기간(ms)
+   * @param {string} [reason] - 제재 사유
+   * @returns {Promise<{userId: string, reason: string|null, createdAt: number, expiresAt: number}>} 임시 제재 정보
+   */
+  async timeoutChatUser(userId, durationMs, reason) {
+    if (!userId) {
+      throw new ChzzkValidationError('사용자 ID가 필요합니다.');
+    }
+    if (!(durationMs > 0)) {
+      throw new ChzzkValidationError('제재 기간은 0보다 커야 합니다.');
+    }
+
+    await this.chatTimeoutsReady;
+
+    // 금지 후 저장 전에 종료되면 영구 제재로 남으므로, 해제 예정을 먼저 저장한 뒤 금지
+    const previous = this.chatTimeouts.get(userId);
+    const now = Date.now();
+    const timeout = { userId, reason: reason || null, createdAt: now, expiresAt: now + durationMs };
+    this.chatTimeouts.set(userId, timeout);
+    try {
+      await this._saveChatTimeouts();
+    } catch (error) {
+      // 저장하지 못하면 재시작 후 해제할 수 없으므로 금지하지 않음
+      if (this.chatTimeouts.get(userId) === timeout) {
+        if (previous) {
+          this.chatTimeouts.set(userId, previous);
+        } else {
+          this.chatTimeouts.delete(userId);
+        }
+      }
+      throw new ChzzkError('임시 제재 실패: 해제 예정을 저장하지 못해 채팅 금지를 실행하지 않았습니다.', { cause: error });
+    }
+
+    try {
+      await this.banChatUser(reason ? { userId, reason } : { userId });
+    } catch (error) {
+      // 금지에 실패하면 저장한 항목을 되돌림 (이전 임시 제재가 있었다면 그대로 유지)
+      if (this.chatTimeouts.get(userId) === timeout) {
+        if (previous) {
+          this.chatTimeouts.set(userId, previous);
+          this._scheduleChatTimeout(previous);
+        } else {
+          this.chatTimeouts.delete(userId);
+        }
+        await this._saveChatTimeouts()
+          .catch(saveError => this._reportError('임시 제재 저장소 저장 실패', saveError));
+      }
+      throw error;
+    }
+
+    if (this.chatTimeouts.get(userId) === timeout) {
+      this._scheduleChatTimeout(timeout);
+    }
+    return { ...timeout };
+  }
+
+  /**
+   * 해제 예정인 임시 제재 목록
+   * @returns {Promise<Array<{userId: string, reason: string|null, createdAt: number, expiresAt: number}>>} 해제 시각 순서의 목록
+   */
+  async getChatTimeouts() {
+    await this.chatTimeoutsReady;
+    return Array.from(this.chatTimeouts.values(), timeout => ({ ...timeout }))
+      .sort((a, b) => a.expiresAt - b.expiresAt);
+  }
+
+  /**
+   * 임시 제재 취소
+   * @param {string} userId - 사용자 ID
+   * @param {Object} [options] - 취소 옵션
+   * @param {boolean} [options.unban=true] - 지금 바로 채팅 금지를 해제할지 여부 (false면 영구 제재로 유지)
+   * @returns {Promise<boolean>} 임시 제재 중이던 사용자면 true
+   */
+  async cancelChatTimeout(userId, options = {}) {
+    const { unban = true } = options;
+    await this.chatTimeoutsReady;
+    if (!this.chatTimeouts.has(userId)) {
+      return false;
+    }
+
+    if (unban) {
+      await this.unbanChatUser(userId);
+    }
+    this._removeChatTimeout(userId);
+    await this._saveChatTimeouts()
+      .catch(error => this._reportError('임시 제재 저장소 저장 실패', error));
+    return true;
+  }
+
+  /**
+   * 저장소에서 해제 예정 목록을 불러와 해제 예약 (이미 지난 제재는 바로 해제)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _loadChatTimeouts() {
+    if (!this.timeoutStore) {
+      return;
+    }
+
+    try {
+      const saved = await this.timeoutStore.load();
+      for (const timeout of Object.values(saved || {})) {
+        this.chatTimeouts.set(timeout.userId, timeout);
+        this._scheduleChatTimeout(timeout);
+      }
+    } catch (error) {
+      this._reportError('임시 제재 저장소 불러오기 실패', error);
+    }
+  }
+
+  /**
+   * 해제 예정 목록 저장 (저장은 순서대로 하나씩 처리)
+   * 저장에 실패하면 reject되며, 다음 저장은 실패와 관계없이 진행됩니다.
+   * @returns {Promise<void>}
+   * @private
+   */
+  _saveChatTimeouts() {
+    if (!this.timeoutStore) {
+      return Promise.resolve();
+    }
+
+    const timeouts = Object.fromEntries(this.chatTimeouts);
+    const saving = this.chatTimeoutSaving.then(() => this.timeoutStore.save(timeouts));
+    this.chatTimeoutSaving = saving.catch(() => {});
+    return saving;
+  }
+
+  /**
+   * 임시 제재 해제 예약
+   * 타이머는 프로세스 종료를 막지 않으며, 해제 전에 종료되면 다음 실행 때 해제됩니다.
+   * @param {Object} timeout - 임시 제재 정보
+   * @private
+   */
+  _scheduleChatTimeout(timeout) {
+    clearTimeout(this.chatTimeoutTimers.get(timeout.userId));
+    if (this.disposed) {
+      return;
+    }
+
+    // setTimeout 최대 지연 시간(약 24.8일)을 넘으면 나눠서 대기
+    const delayMs = Math.min(Math.max(timeout.expiresAt - Date.now(), 0), MAX_TIMER_DELAY_MS);
+    const timer = setTimeout(() => {
+      if (this.chatTimeouts.get(timeout.userId) !== timeout) {
+        return;
+      }
+      if (Date.now() < timeout.expiresAt) {
+        this._scheduleChatTimeout(timeout);
+        return;
+      }
+      this._expireChatTimeout(timeout);
+    }, delayMs);
+    if (timer && typeof timer.unref === 'function') {
+      timer.unref();
+    }
+    this.chatTimeoutTimers.set(timeout.userId, timer);
+  }
+
+  /**
+   * 기간이 끝난 임시 제재 해제
+   * 해제에 실패하면 1분 뒤 다시 시도합니다.
+   * @param {Object} timeout - 임시 제재 정보
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _expireChatTimeout(timeout) {
+    try {
+      await this.unbanChatUser(timeout.userId);
+    } catch (error) {
+      this._reportError(`임시 제재 해제 실패 (${timeout.userId})`, error, { timeout: { ...timeout } });
+      if (this.chatTimeouts.get(timeout.userId) === timeout) {
+        // 다시 시도할 시각도 저장해 재시작 후에도 같은 일정으로 해제
+        timeout.expiresAt = Date.now() + CHAT_TIMEOUT_RETRY_DELAY_MS;
+        this._scheduleChatTimeout(timeout);
+        await this._saveChatTimeouts()
+          .catch(saveError => this._reportError('임시 제재 저장소 저장 실패', saveError));
+      }
+      return;
+    }
+
+    if (this.chatTimeouts.get(timeout.userId) === timeout) {
+      this._removeChatTimeout(timeout.userId);
+      await this._saveChatTimeouts()
+        .catch(error => this._reportError('임시 제재 저장소 저장 실패', error));
+    }
+    this._triggerEvent('chatTimeoutExpired', { ...timeout, channelId: this.accountId });
+  }
+
+  /**
+   * 임시 제재 목록과 예약에서 제거
+   * @param {string} userId - 사용자 ID
+   * @private
+   */
+  _removeChatTimeout(userId) {
+    clearTimeout(this.chatTimeoutTimers.get(userId));
+    this.chatTimeoutTimers.delete(userId);
+    this.chatTimeouts.delete(userId);
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * 14. 멀티 계정 관리
+   * ----------------------------------------------------------------------------
+   * 하나의 Client ID로 여러 스트리머 계정을 동시에 다루기 위한 기능입니다.
+   * 계정마다 독립적으로 토큰을 갱신하는 스코프 클라이언트(Chzzk 인스턴스)를 만들고,
+   * 각 계정의 tokenRefresh/tokenExpired/chatTimeoutExpired 이벤트를 channelId와 함께 이 인스턴스로 전달합니다.
+   */
+
+  /**
+   * 계정 등록
+   * 토큰을 생략하면 accountTokenStore에 저장된 토큰을 사용합니다.
+   * @param {string} channelId - 계정의 채널 ID
+   * @param {Object} [tokens] - 토큰 정보
+   * @param {string} [tokens.accessToken] - Access Token
+   * @param {string} [tokens.refreshToken] - Refresh Token
+   * @param {number} [tokens.expiresIn] - Access Token 만료 시간(초)
+   * @param {number} [tokens.tokenExpiry] - Access Token 만료 시각(ms)
+   * @returns {Chzzk} 해당 계정의 스코프 클라이언트
+   */
+  addAccount(channelId, tokens = {}) {
+    if (!channelId) {
+      throw new ChzzkValidationError('채널 ID가 필요합니다.');
+    }
+
+    this.removeAccount(channelId);
+
+    const client = this._createAccountClient(channelId, tokens);
+    if (tokens.expiresIn) {
+      client._setTokenExpiry(tokens.expiresIn);
+    }
+
+    // 새로 전달된 토큰은 저장소에서 불러온 토큰보다 우선하며, 계정 저장소에도 반영
+    if (tokens.accessToken || tokens.refreshToken) {
+      const { accessToken, refreshToken, tokenExpiry } = client;
+      client.tokenStoreReady = client.tokenStoreReady
+        .then(() => {
+          Object.assign(client, { accessToken, refreshToken, tokenExpiry });
+          return client._saveTokensToStore();
+        })
+        .catch(error => client._reportError('토큰 저장소 저장 실패', error));
+    }
+
+    this._registerAccount(channelId, client);
+    return client;
+  }
+
+  /**
+   * 인증 코드로 토큰을 발급받아 계정 등록
+   * 발급받은 토큰의 소유 채널을 조회하여 channelId로 등록합니다.
+   * @param {string} code - 인증 코드
+   * @param {string} state - state
+   * @returns {Promise<Chzzk>} 등록된 계정의 스코프 클라이언트
+   */
+  async addAccountByCode(code, state) {
+    const client = this._createAccountClient(null, {});
+    await client.issueAccessTokenByCode(code, state);
+
+    const userInfo = await client.getMyUserInfo();
+    const channelId = userInfo && userInfo.content && userInfo.content.channelId;
+    if (!channelId) {
+      throw new ChzzkError('계정 등록 실패: 채널 ID를 확인할 수 없습니다.');
+    }
+
+    this.removeAccount(channelId);
+
+    if (this.accountTokenStore) {
+      client.tokenStore = this.accountTokenStore(channelId);
+      await client._saveTokensToStore();
+    }
+    if (this.accountTimeoutStore) {
+      client.timeoutStore = this.accountTimeoutStore(channelId);
+      client.chatTimeoutsReady = client._loadChatTimeouts();
+    }
+    client.accountId = channelId;
+
+    this._registerAccount(channelId, client);
+    return client;
+  }
+
+  /**
+   * 등록된 계정의 스코프 클라이언트 가져오기
+   * @param {string} channelId - 계정의 채널 ID
+   * @returns {Chzzk} 해당 계정의 스코프 클라이언트
+   */
+  account(channelId) {
+    const entry = this.accounts.get(channelId);
+    if (!entry) {
+      throw new ChzzkValidationError(`등록되지 않은 계정: ${channelId}`);
+    }
+    return entry.client;
+  }
+
+  /**
+   * 계정 등록 여부 확인
+   * @param {string} channelId - 계정의 채널 ID
+   * @returns {boolean} 등록 여부
+   */
+  hasAccount(channelId) {
+    return this.accounts.has(channelId);
+  }
+
+  /**
+   * 등록된 계정의 채널 ID 목록
+   * @returns {string[]} 채널 ID 배열
+   */
+  getAccountIds() {
+    return Array.from(this.accounts.keys());
+  }
+
+  /**
+   * 계정 등록 해제
+   * 스코프 클라이언트의 채팅 연결, 임시 제재 해제 타이머, 채팅 설정 예약을 정리하고 이벤트 전달을 중단합니다.
+   * 토큰은 폐기하지 않으며, 저장소의 해제 예정 목록은 남아 있어 같은 계정을 다시 등록하면 이어서 해제됩니다.
+   * @param {string} channelId - 계정의 채널 ID
+   * @returns {boolean} 해제 여부
+   */
+  removeAccount(channelId) {
+    const entry = this.accounts.get(channelId);
+    if (!entry) {
+      return false;
+    }
+
+    entry.client._dispose();
+    entry.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.accounts.delete(channelId);
+    return true;
+  }
+
+  /**
+   * 계정용 스코프 클라이언트 생성
+   * @param {string|null} channelId - 계정의 채널 ID (아직 모르면 null)
+   * @param {Object} tokens - 토큰 정보
+   * @returns {Chzzk} 스코프 클라이언트
+   * @private
+   */
+  _createAccountClient(channelId, tokens) {
+    return new Chzzk({
+      clientId: this.clientId,
+      clientSecret: this.clientSecret,
+      autoRefreshToken: this.autoRefreshToken,
+      tokenRefreshThresholdMs: this.tokenRefreshThresholdMs,
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      tokenExpiry: tokens.tokenExpiry,
+      tokenStore: channelId && this.accountTokenStore ? this.accountTokenStore(channelId) : null,
+      timeoutStore: channelId && this.accountTimeoutStore ? this.accountTimeoutStore(channelId) : null,
+      retry: this.retryPolicy || false,
+      rateLimiter: this.rateLimiter,
+      cache: this.responseCache,
+      accountId: channelId,
+      chatSendQueue: this.chatSendQueue.options,
+      webSocketFactory: this.webSocketFactory,
+      chatReconnect: this.chatReconnectPolicy,
+      chatHeartbeat: { intervalMs: this.chatHeartbeatIntervalMs, pongTimeoutMs: this.chatPongTimeoutMs },
+    });
+  }
+
+  /**
+   * 스코프 클라이언트 정리
+   * 임시 제재 해제 타이머와 채팅 설정 예약을 취소하고, 전송 대기열을 비우고, 채팅 연결을 모두 종료합니다.
+   * @private
+   */
+  _dispose() {
+    this.disposed = true;
+    for (const timer of this.chatTimeoutTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.chatTimeoutTimers.clear();
+    this.cancelChatSettingsSchedules();
+    this.chatSendQueue.clear();
+    for (const connection of this.chatConnections.values()) {
+      connection.disconnect()
+        .catch(error => this._reportError('채팅 연결 종료 실패', error, { channelId: connection.channelId }));
+    }
+  }
+
+  /**
+   * 스코프 클라이언트 등록 및 토큰 이벤트 전달 연결
+   * @param {string} channelId - 계정의 채널 ID
+   * @param {Chzzk} client - 스코프 클라이언트
+   * @private
+   */
+  _registerAccount(channelId, client) {
+    const unsubscribers = ['tokenRefresh', 'tokenExpired', 'chatTimeoutExpired'].map(eventName =>
+      client.on(eventName, (data) => {
+        this._triggerEvent(eventName, { ...data, channelId });
+      })
+    );
+    unsubscribers.push(client.on('error', ({ message, error, timestamp, ...details }) => {
+      this._reportError(message, error, { ...details, channelId });
+    }));
+
+    this.accounts.set(channelId, { client, unsubscribers });
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * 15. 페이지네이션
+   * ----------------------------------------------------------------------------
+   * 목록 API를 페이지 단위로 반복 조회하는 비동기 반복자를 제공합니다.
+   * 커서(next) 방식과 오프셋(page.from/page.size) 방식의 차이는 내부에서 처리합니다.
+   *
+   * 모든 반복자는 해당 API의 옵션과 함께 다음 옵션을 받습니다.
+   * - maxItems: 최대 항목 수
+   * - maxPages: 최대 페이지 수
+   * - signal: 조회를 취소할 AbortSignal
+   */
+
+  /**
+   * 페이지네이션 반복자 생성
+   * @returns {Object} 목록 API별 반복자 함수
+   * @private
+   */
+  _createPaginators() {
+    const cursor = fetchPage => (options = {}) => this._paginateCursor(fetchPage, options);
+
+    return {
+      lives: cursor((params, next, signal) => this.getLiveList(params.size, next, { signal })),
+      searchLives: cursor((params, next, signal) => this.searchLives({ ...params, next, signal })),
+      searchChannels: cursor((params, next, signal) => this.searchChannels({ ...params, next, signal })),
+      vods: cursor((params, next, signal) => this.getVods({ ...params, next, signal })),
+      myVods: cursor((params, next, signal) => this.getMyVods({ ...params, next, signal })),
+      followers: cursor((params, next, signal) => this.getMyFollowers({ ...params, next, signal })),
+      followings: cursor((params, next, signal) => this.getMyFollowings({ ...params, next, signal })),
+      subscribers: cursor((params, next, signal) => this.getMySubscribers({ ...params, next, signal })),
+      chatBannedUsers: cursor((params, next, signal) => this.getChatBannedUsers({ ...params, next, signal })),
+      chatModerators: cursor((params, next, signal) => this.getChatModerators({ ...params, next, signal })),
+      chatFilterWords: cursor((params, next, signal) => this.getChatFilterWords({ ...params, next, signal })),
+      dropsRewardClaims: (options = {}) => this._paginateOffset(
+        (params, from, size, signal) => this.getDropsRewardClaims({ ...params, from, size, signal }),
+        options
+      ),
+    };
+  }
+
+  /**
+   * 커서(next) 방식 목록 반복
+   * 반복자 전용 옵션(maxItems, maxPages, signal)은 API 파라미터에서 제외하고, signal은 요청 설정으로 따로 전달합니다.
+   * @param {Function} fetchPage - (params, next, signal) => 페이지 응답
+   * @param {Object} options - 조회 옵션
+   * @param {string} [options.next] - 시작 커서
+   * @param {number} [options.maxItems] - 최대 항목 수
+   * @param {number} [options.maxPages] - 최대 페이지 수
+   * @param {AbortSignal} [options.signal] - 취소 신호
+   * @returns {AsyncGenerator<Object>} 목록 항목
+   * @private
+   */
+  async *_paginateCursor(fetchPage, options) {
+    const { maxItems = Infinity, maxPages = Infinity, signal, ...params } = options;
+    let next = params.next || '';
+    let pageCount = 0;
+    let itemCount = 0;
+
+    while (pageCount < maxPages && itemCount < maxItems) {
+      throwIfAborted(signal);
+      const result = await fetchPage(params, next, signal);
+      pageCount++;
+
+      const content = (result && result.content) || {};
+      const items = content.data || [];
+      for (const item of items) {
+        if (itemCount >= maxItems) {
+          return;
+        }
+        throwIfAborted(signal);
+        itemCount++;
+        yield item;
+      }
+
+      next = content.page && content.page.next;
+      if (!next || items.length === 0) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * 오프셋(page.from/page.size) 방식 목록 반복
+   * 반복자 전용 옵션(maxItems, maxPages, signal)은 API 파라미터에서 제외하고, signal은 요청 설정으로 따로 전달합니다.
+   * @param {Function} fetchPage - (params, from, size, signal) => 페이지 응답
+   * @param {Object} options - 조회 옵션
+   * @param {number} [options.from=0] - 시작 인덱스
+   * @param {number} [options.size=20] - 페이지 크기
+   * @param {number} [options.maxItems] - 최대 항목 수
+   * @param {number} [options.maxPages] - 최대 페이지 수
+   * @param {AbortSignal} [options.signal] - 취소 신호
+   * @returns {AsyncGenerator<Object>} 목록 항목
+   * @private
+   */
+  async *_paginateOffset(fetchPage, options) {
+    const { maxItems = Infinity, maxPages = Infinity, signal, ...params } = options;
+    const size = params.size || 20;
+    let from = params.from || 0;
+    let pageCount = 0;
+    let itemCount = 0;
+
+    while (pageCount < maxPages && itemCount < maxItems) {
+      throwIfAborted(signal);
+      const result = await fetchPage(params, from, size, signal);
+      pageCount++;
+
+      const content = (result && result.content) || {};
+      const items = content.data || [];
+      for (const item of items) {
+        if (itemCount >= maxItems) {
+          return;
+        }
+        throwIfAborted(signal);
+        itemCount++;
+        yield item;
+      }
+
+      if (items.length < size) {
+        return;
+      }
+      from += items.length;
+    }
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * 16. 응답 캐시
+   * ----------------------------------------------------------------------------
+   */
+
+  /**
+   * 캐시 무효화
+   * 캐시를 사용하지 않으면 아무 동작도 하지 않습니다.
+   * @param {'channels'|'categories'|'vods'|'vod'} type - 캐시 종류
+   * @param {string} [key] - 무효화할 키 (채널 ID, VOD ID 등). 생략하면 해당 종류 전체
+   * @returns {Promise<void>}
+   */
+  async invalidateCache(type, key) {
+    if (!this.responseCache) {
+      return;
+    }
+    await this.responseCache.invalidate(type, key);
+  }
+
+  /**
+   * 캐시 통계 (hits, misses, staleHits 등)
+   * @returns {Object|null} 캐시 통계 (캐시를 사용하지 않으면 null)
+   */
+  getCacheStats() {
+    return this.responseCache ? this.responseCache.getStats() : null;
+  }
+
+  /**
+   * 캐시를 거쳐 조회
+   * @param {string} type - 캐시 종류
+   * @param {string} key - 캐시 키
+   * @param {Function} fetcher - 캐시에 없을 때 호출할 조회 함수
+   * @returns {Promise<*>} 조회 결과
+   * @private
+   */
+  _withCache(type, key, fetcher) {
+    if (!this.responseCache) {
+      return fetcher();
+    }
+    return this.responseCache.wrap(type, key, fetcher);
+  }
+
+  /**
+   * 내 채널 정보 캐시 무효화
+   * 계정 ID(채널 ID)를 알면 해당 채널만, 모르면 채널 캐시 전체를 무효화합니다.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _invalidateOwnChannelCache() {
+    await this.invalidateCache('channels', this.accountId || undefined);
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * 17. 채팅 설정 동기화
+   * ----------------------------------------------------------------------------
+   * 원하는 상태(필터링 단어, 모더레이터, 채팅 설정)를 선언하면 현재 상태와 비교해
+   * 필요한 추가/삭제/변경만 실행합니다. 같은 상태로 다시 실행하면 아무것도 바꾸지 않습니다.
+   */
+
+  /**
+   * 채팅 설정 동기화 계획 계산 (변경은 실행하지 않음)
+   * desired에 없는 항목(filterWords, moderators, settings)은 비교하지 않습니다.
+   * @param {Object} desired - 원하는 상태
+   * @param {string[]} [desired.filterWords] - 필터링 단어 목록
+   * @param {string[]} [desired.moderators] - 모더레이터 사용자 ID 목록
+   * @param {Object} [desired.settings] - 채팅 설정 (updateChatSettings와 같은 필드)
+   * @param {Object} [options] - 계획 옵션
+   * @param {boolean} [options.prune=true] - desired에 없는 필터링 단어/모더레이터를 삭제할지 여부
+   * @returns {Promise<ChatConfigPlan>} 동기화 계획
+   */
+  async planChatConfig(desired, options = {}) {
+    const { prune = true } = options;
+    const plan = {
+      filterWords: { add: [], remove: [] },
+      moderators: { add: [], remove: [] },
+      settings: { changes: {}, next: null },
+      hasChanges: false,
+    };
+
+    if (desired.filterWords) {
+      const current = [];
+      for await (const item of this.paginate.chatFilterWords()) {
+        current.push(item);
+      }
+      const diff = diffChatConfigList(desired.filterWords, current, item => item.word);
+      plan.filterWords.add = diff.add;
+      plan.filterWords.remove = prune ? diff.remove.map(item => ({ wordId: item.wordId, word: item.word })) : [];
+    }
+
+    if (desired.moderators) {
+      const current = [];
+      for await (const item of this.paginate.chatModerators()) {
+        current.push(item);
+      }
+      const diff = diffChatConfigList(desired.moderators, current, item => item.userId || item.channelId);
+      plan.moderators.add = diff.add;
+      plan.moderators.remove = prune
+        ? diff.remove.map(item => ({ userId: item.userId || item.channelId, nickname: item.nickname || item.channelName || null }))
+        : [];
+    }
+
+    if (desired.settings) {
+      const result = await this.getChatSettings();
+      const current = pickChatSettings((result && result.content) || {});
+      const settings = pickChatSettings(desired.settings);
+      for (const [key, value] of Object.entries(settings)) {
+        if (current[key] !== value) {
+          plan.settings.changes[key] = { from: current[key], to: value };
+        }
+      }
+      if (Object.keys(plan.settings.changes).length > 0) {
+        plan.settings.next = { ...current, ...settings };
+      }
+    }
+
+    plan.hasChanges = plan.filterWords.add.length > 0 || plan.filterWords.remove.length > 0 ||
+      plan.moderators.add.length > 0 || plan.moderators.remove.length > 0 ||
+      plan.settings.next !== null;
+    return plan;
+  }
+
+  /**
+   * 채팅 설정 동기화
+   * 계획을 계산한 뒤 추가/삭제/변경만 실행합니다. 개별 변경이 실패해도 나머지는 계속 진행합니다.
+   * @param {Object} desired - 원하는 상태 (planChatConfig 참고)
+   * @param {Object} [options] - 동기화 옵션
+   * @param {boolean} [options.dryRun=false] - true면 계획만 계산하고 실행하지 않음
+   * @param {boolean} [options.prune=true] - desired에 없는 필터링 단어/모더레이터를 삭제할지 여부
+   * @param {Function} [options.log] - 계획을 출력할 함수 (예: console.log, formatChatConfigPlan 결과를 전달)
+   * @returns {Promise<{plan: ChatConfigPlan, applied: number, errors: Array<{change: string, error: Error}>}>} 동기화 결과
+   */
+  async syncChatConfig(desired, options = {}) {
+    const { dryRun = false, prune = true, log } = options;
+    const plan = await this.planChatConfig(desired, { prune });
+    if (log) {
+      log(formatChatConfigPlan(plan, { dryRun }));
+    }
+
+    const result = { plan, applied: 0, errors: [] };
+    if (dryRun || !plan.hasChanges) {
+      return result;
+    }
+
+    const changes = [
+      ...plan.filterWords.remove.map(item => [`필터링 단어 삭제: ${item.word}`, () => this.removeChatFilterWord(item.wordId)]),
+      ...plan.filterWords.add.map(word => [`필터링 단어 추가: ${word}`, () => this.addChatFilterWord(word)]),
+      ...plan.moderators.remove.map(item => [`모더레이터 제거: ${item.userId}`, () => this.removeChatModerator(item.userId)]),
+      ...plan.moderators.add.map(userId => [`모더레이터 추가: ${userId}`, () => this.addChatModerator(userId)]),
+    ];
+    if (plan.settings.next) {
+      changes.push(['채팅 설정 변경', () => this.updateChatSettings(plan.settings.next)]);
+    }
+
+    for (const [change, apply] of changes) {
+      try {
+        await apply();
+        result.applied++;
+      } catch (error) {
+        result.errors.push({ change, error });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * ----------------------------------------------------------------------------
+   * 18. 채팅 설정 프리셋
+   * ----------------------------------------------------------------------------
+   * 이름 붙인 채팅 설정을 한 번의 updateChatSettings로 적용하고, 적용 전 설정을 스냅샷으로 남겨 되돌립니다.
+   * 기본 프리셋: open, followers-10min, subscribers-only, lockdown
+   */
+
+  /**
+   * 채팅 설정 프리셋 등록 (같은 이름이면 교체)
+   * @param {string} name - 프리셋 이름
+   * @param {Object} settings - 채팅 설정 (updateChatSettings와 같은 필드)
+   */
+  registerChatSettingsPreset(name, settings) {
+    if (!name || !settings || typeof settings !== 'object') {
+      throw new ChzzkValidationError('프리셋 이름과 채팅 설정이 필요합니다.');
+    }
+    this.chatSettingsPresets.set(name, { ...settings });
+  }
+
+  /**
+   * 등록된 채팅 설정 프리셋 목록
+   * @returns {Object<string, Object>} 프리셋 이름 => 채팅 설정
+   */
+  getChatSettingsPresets() {
+    return Object.fromEntries(Array.from(this.chatSettingsPresets, ([name, settings]) => [name, { ...settings }]));
+  }
+
+  /**
+   * 채팅 설정 프리셋 적용
+   * 현재 설정에 프리셋을 덮어쓴 전체 설정을 한 번에 적용하고, 적용 전 설정을 스냅샷으로 남깁니다.
+   * durationMs를 주면 그 시간이 지난 뒤 이 스냅샷으로 되돌립니다.
+   * @param {string|Object} preset - 프리셋 이름 또는 채팅 설정 객체
+   * @param {Object} [options] - 적용 옵션
+   * @param {number} [options.durationMs] - 지정하면 이 시간(ms) 뒤 적용 전 설정으로 복원
+   * @returns {Promise<ChatSettingsSnapshot>} 적용 전 설정 스냅샷
+   */
+  async applyChatSettingsPreset(preset, options = {}) {
+    const { durationMs } = options;
+    const presetSettings = this._resolveChatSettingsPreset(preset);
+
+    const result = await this.getChatSettings();
+    const current = pickChatSettings((result && result.content) || {});
+    await this.updateChatSettings({ ...current, ...pickChatSettings(presetSettings) });
+
+    const snapshot = {
+      preset: typeof preset === 'string' ? preset : null,
+      settings: { ...current },
+      takenAt: Date.now(),
+    };
+    this.chatSettingsSnapshots.push(snapshot);
+
+    if (durationMs > 0) {
+      const timer = setTimeout(() => {
+        this.chatSettingsTimers.delete(timer);
+        this.restoreChatSettings(snapshot)
+          .catch(error => this._reportError('채팅 설정 복원 실패', error, { snapshot }));
+      }, Math.min(durationMs, MAX_TIMER_DELAY_MS));
+      if (typeof timer.unref === 'function') {
+        timer.unref();
+      }
+      this.chatSettingsTimers.add(timer);
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * 프리셋 적용 전 설정으로 복원
+   * 가장 최근 스냅샷만 실제로 적용합니다. 그보다 오래된 스냅샷은 지금 설정을 바꾸지 않고
+   * 바로 다음 스냅샷에 합쳐, 나중에 그 스냅샷을 복원할 때 이 스냅샷의 설정으로 돌아가게 합니다.
+   * (예: 10분짜리 프리셋 위에 20분짜리 프리셋을 적용하면 20분 뒤 처음 설정으로 복원)
+   * @param {ChatSettingsSnapshot} [snapshot] - 복원할 스냅샷 (생략하면 가장 최근 스냅샷)
+   * @returns {Promise<boolean>} 복원했으면 true, 복원할 스냅샷이 없으면 false
+   */
+  async restoreChatSettings(snapshot) {
+    const snapshots = this.chatSettingsSnapshots;
+    const index = snapshot ? snapshots.indexOf(snapshot) : snapshots.length - 1;
+    if (index === -1) {
+      return false;
+    }
+
+    const [target] = snapshots.splice(index, 1);
+    if (index < snapshots.length) {
+      snapshots[index].settings = target.settings;
+      return true;
+    }
+
+    await this.updateChatSettings(pickChatSettings(target.settings));
+    return true;
+  }
+
+  /**
+   * 복원하지 않은 스냅샷 목록 (오래된 순서)
+   * @returns {ChatSettingsSnapshot[]} 스냅샷 배열
+   */
+  getChatSettingsSnapshots() {
+    return [...this.chatSettingsSnapshots];
+  }
+
+  /**
+   * 채팅 설정 프리셋 예약
+   * cron이면 일치하는 시각마다 반복하고, at이면 한 번만 적용합니다. (시각은 프로세스의 현지 시간 기준)
+   * durationMs를 주면 적용할 때마다 그 시간 뒤 이전 설정으로 복원합니다.
+   * @param {string|Object} preset - 프리셋 이름 또는 채팅 설정 객체
+   * @param {Object} schedule - 예약 시각
+   * @param {string} [schedule.cron] - cron 식 (분 시 일 월 요일, 예: '0 21 * * 1-5')
+   * @param {Date|number} [schedule.at] - 한 번 적용할 시각
+   * @param {number} [schedule.durationMs] - 적용 후 복원까지의 시간(ms)
+   * @returns {{cancel: Function, getNextRunAt: Function}} 예약 핸들 (cancel()로 취소, getNextRunAt()은 다음 적용 시각)
+   */
+  scheduleChatSettingsPreset(preset, schedule = {}) {
+    const { cron, at, durationMs } = schedule;
+    this._resolveChatSettingsPreset(preset);
+    if (!cron && at === undefined) {
+      throw new ChzzkValidationError('cron 또는 at이 필요합니다.');
+    }
+
+    const fields = cron ? parseCronExpression(cron) : null;
+    if (!fields && !(new Date(at).getTime() >= Date.now())) {
+      throw new ChzzkValidationError('at은 현재 이후의 시각이어야 합니다.');
+    }
+    let nextRunAt = null;
+    let timer = null;
+    let cancelled = false;
+
+    const scheduleNext = (from) => {
+      nextRunAt = fields ? getNextCronTime(fields, from) : new Date(at).getTime();
+      if (cancelled || nextRunAt === null) {
+        nextRunAt = null;
+        this.chatSettingsSchedules.delete(handle);
+        return;
+      }
+      wait();
+    };
+
+    // setTimeout 최대 지연 시간을 넘으면 나눠서 대기
+    const wait = () => {
+      timer = setTimeout(() => {
+        this.chatSettingsTimers.delete(timer);
+        if (Date.now() < nextRunAt) {
+          wait();
+          return;
+        }
+        const runAt = nextRunAt;
+        this.applyChatSettingsPreset(preset, { durationMs })
+          .catch(error => this._reportError('예약된 채팅 설정 적용 실패', error, { preset, runAt }));
+        if (fields) {
+          scheduleNext(runAt + 60 * 1000);
+        } else {
+          nextRunAt = null;
+          this.chatSettingsSchedules.delete(handle);
+        }
+      }, Math.min(Math.max(nextRunAt - Date.now(), 0), MAX_TIMER_DELAY_MS));
+      if (typeof timer.unref === 'function') {
+        timer.unref();
+      }
+      this.chatSettingsTimers.add(timer);
+    };
+
+    const handle = {
+      cancel: () => {
+        cancelled = true;
+        nextRunAt = null;
+        clearTimeout(timer);
+        this.chatSettingsTimers.delete(timer);
+        this.chatSettingsSchedules.delete(handle);
+      },
+      getNextRunAt: () => (nextRunAt === null ? null : new Date(nextRunAt)),
+    };
+    this.chatSettingsSchedules.add(handle);
+    scheduleNext(Date.now());
+    return handle;
+  }
+
+  /**
+   * 예약된 프리셋 적용과 복원 모두 취소
+   * 취소된 예약 핸들의 getNextRunAt()은 null을 반환합니다.
+   */
+  cancelChatSettingsSchedules() {
+    for (const handle of this.chatSettingsSchedules) {
+      handle.cancel();
+    }
+    for (const timer of this.chatSettingsTimers) {
+      clearTimeout(timer);
+    }
+    this.chatSettingsTimers.clear();
+  }
+
+  /**
+   * 프리셋 이름 또는 설정 객체를 채팅 설정으로 변환
+   * @param {string|Object} preset - 프리셋 이름 또는 채팅 설정 객체
+   * @returns {Object} 채팅 설정
+   * @private
+   */
+  _resolveChatSettingsPreset(preset) {
+    if (preset && typeof preset === 'object') {
+      return { ...preset };
+    }
+
+    const settings = this.chatSettingsPresets.get(preset);
+    if (!settings) {
+      throw new ChzzkValidationError(`등록되지 않은 채팅 설정 프리셋: ${preset}`);
+    }
+    return { ...settings };
+  }
+}
+
+
+
+/**
+ * ----------------------------------------------------------------------------
+ * 채팅 연결
+ * ----------------------------------------------------------------------------
+ */
+
+/**
+ * 채널 하나의 채팅 웹소켓 연결
+ * chzzk.chat(channelId)로 생성하며, 이벤트는 channelId와 함께 Chzzk 인스턴스로도 전달됩니다.
+ * 연결 상태: idle → connecting → authenticating → open → (reconnecting → connecting ...) → closed
+ */
+export class ChatConnection {
+  /**
+   * @param {Chzzk} client - 채팅 접속 토큰 발급 및 이벤트 전달에 사용할 Chzzk 인스턴스
+   * @param {string} channelId - 채널 ID
+   */
+  constructor(client, channelId) {
+    this.client = client;
+    this.channelId = channelId;
+    this.socket = null;
+    this.state = 'idle';
+    this.heartbeatInterval = null;
+    this.pongTimer = null;
+    this.pingSentAt = null;
+    this.latencyMs = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.manualClose = false;
+
+    // 이 채널 이벤트만 받는 리스너 (원본 핸들러 => Chzzk에 등록된 래퍼)
+    this.listeners = new Map();
+  }
+
+  /**
+   * 채팅 웹소켓 연결
+   * 이미 연결되어 있으면 끊고 다시 연결합니다.
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    if (this.socket || this.reconnectTimer) {
+      await this.disconnect();
+    }
+
+    this.manualClose = false;
+    this.reconnectAttempts = 0;
+
+    try {
+      await this._openSocket();
+    } catch (error) {
+      if (!this.manualClose) {
+        this._setState('closed');
+      }
+      this.client._handleApiError(error, '채팅 연결 실패');
+    }
+  }
+
+  /**
+   * 채팅 연결 종료
+   * 진행 중인 재연결도 함께 중단합니다.
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    this.manualClose = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this._stopHeartbeat();
+
+    const socket = this.socket;
+    if (!socket) {
+      if (this.state !== 'idle') {
+        this._setState('closed');
+      }
+      return;
+    }
+
+    return new Promise((resolve) => {
+      if (socket.readyState === WEBSOCKET_OPEN) {
+        const handleClose = socket.onclose;
+        socket.onclose = (event) => {
+          if (handleClose) {
+            handleClose(event);
+          }
+          resolve();
+        };
+        socket.close();
+      } else {
+        this.socket = null;
+        socket.close();
+        this._setState('closed');
+        resolve();
+      }
+    });
+  }
+
+  /**
+   * 현재 연결 상태
+   * @returns {'idle'|'connecting'|'authenticating'|'open'|'reconnecting'|'closed'} 연결 상태
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * 마지막으로 측정한 채팅 왕복 지연 시간
+   * @returns {number|null} 지연 시간(ms), 측정 전이면 null
+   */
+  getLatency() {
+    return this.latencyMs;
+  }
+
+  /**
+   * 이 채널의 이벤트 리스너 등록
+   * @param {string} eventName - 이벤트 이름
+   * @param {Function} handler - 이벤트 발생 시 호출할 함수
+   * @returns {Function} 리스너 제거를 위한 함수
+   */
+  on(eventName, handler, options) {
+    const wrapper = (data, name) => {
+      if (data && data.channelId === this.channelId) {
+        return handler(data, name);
+      }
+    };
+
+    this.client.on(eventName, wrapper, options);
+    if (!this.listeners.has(eventName)) {
+      this.listeners.set(eventName, new Map());
+    }
+    this.listeners.get(eventName).set(handler, wrapper);
+
+    return () => {
+      this.off(eventName, handler);
+    };
+  }
+
+  /**
+   * 이 채널의 이벤트 리스너 제거
+   * @param {string} eventName - 이벤트 이름
+   * @param {Function} handler - 제거할 핸들러 함수
+   */
+  off(eventName, handler) {
+    const handlers = this.listeners.get(eventName);
+    const wrapper = handlers && handlers.get(handler);
+    if (!wrapper) {
+      return;
+    }
+
+    this.client.off(eventName, wrapper);
+    handlers.delete(handler);
+  }
+
+  /**
+   * 이 채널의 이벤트 한 번만 수신
+   * @param {string} eventName - 이벤트 이름
+   * @param {Function} handler - 이벤트 핸들러
+   * @returns {Function} 리스너 제거를 위한 함수
+   */
+  once(eventName, handler, options) {
+    const onceHandler = (data, name) => {
+      this.off(eventName, onceHandler);
+      return handler(data, name);
+    };
+
+    return this.on(eventName, onceHandler, options);
+  }
+
+  /**
+   * 이벤트 전달 (channelId를 붙여 Chzzk 인스턴스로 전달)
+   * @param {string} eventName - 이벤트 이름
+   * @param {Object} data - 이벤트 데이터
+   * @private
+   */
+  _emit(eventName, data) {
+    this.client._triggerEvent(eventName, { channelId: this.channelId, ...data });
+  }
+
+  /**
+   * 채팅 접속 토큰을 새로 받아 웹소켓 열기
+   * 웹소켓이 열리면 인증 메시지를 보내고 open 상태가 됩니다.
+   * 열리기 전에 끊기거나 에러가 발생하면 reject되며, 열린 뒤 끊기면 재연결을 예약합니다.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _openSocket() {
+    const channelId = this.channelId;
+    this._setState('connecting');
+
+    // 재연결할 때마다 새 채팅 접속 토큰 사용
+    const chatAccessToken = await this.client._getChatAccessToken(channelId);
+    const socket = await this.client._createChatSocket(CHAT_WEBSOCKET_URL);
+
+    // 토큰을 받는 동안 연결이 종료된 경우
+    if (this.manualClose) {
+      socket.close();
+      return;
+    }
+
+    this.socket = socket;
+
+    return new Promise((resolve, reject) => {
+      let opened = false;
+
+      // 열리기 전 실패 - 소켓을 정리하고 reject
+      const fail = (error) => {
+        if (socket === this.socket) {
+          this.socket = null;
+        }
+        socket.onclose = null;
+        socket.onerror = null;
+        socket.onmessage = null;
+        socket.close();
+        if (this.manualClose) {
+          this._setState('closed');
+        }
+        reject(error);
+      };
+
+      socket.onopen = () => {
+        this._setState('authenticating');
+
+        // 웹소켓 연결 성공 후 인증 메시지 전송
+        this._sendAuthMessage(chatAccessToken);
+        opened = true;
+
+        // 하트비트 시작
+        this._startHeartbeat();
+
+        this.reconnectAttempts = 0;
+        this._setState('open');
+        this._emit('chatConnected', { channelId });
+        resolve();
+      };
+
+      socket.onclose = (event) => {
+        if (!opened) {
+          fail(new ChzzkNetworkError('채팅 웹소켓이 연결되기 전에 종료되었습니다.'));
+          return;
+        }
+
+        if (socket !== this.socket) {
+          return;
+        }
+
+        this.socket = null;
+        this._stopHeartbeat();
+
+        this._emit('chatDisconnected', { channelId, code: event.code, reason: event.reason });
+
+        if (this.manualClose) {
+          this._setState('closed');
+        } else {
+          this._scheduleReconnect();
+        }
+      };
+
+      socket.onerror = (error) => {
+        // 열리기 전의 에러는 연결 실패로 전달 (재연결 중이면 chatError로 전달됨)
+        // 웹소켓 에러는 Error가 아닌 Event일 수 있어 ChzzkNetworkError로 감싸서 전달
+        if (!opened) {
+          fail(new ChzzkNetworkError('채팅 연결 실패', { cause: error }));
+          return;
+        }
+        this._emit('chatError', { error });
+      };
+
+      socket.onmessage = (event) => {
+        try {
+          const message = JSON.parse(event.data);
+          this.client._handleChatMessage(message, this);
+        } catch (error) {
+          this._emit('chatError', { error, rawMessage: event.data });
+        }
+      };
+    });
+  }
+
+  /**
+   * 채팅 재연결 예약
+   * 최대 시도 횟수를 넘으면 closed 상태로 전환하고 더 이상 시도하지 않습니다.
+   * @private
+   */
+  _scheduleReconnect() {
+    const policy = this.client.chatReconnectPolicy;
+    if (this.reconnectAttempts >= policy.maxAttempts) {
+      this._setState('closed');
+      if (policy.maxAttempts > 0) {
+        this._emit('chatError', {
+          error: new ChzzkNetworkError(`채팅 재연결 실패: ${policy.maxAttempts}회 시도 후 중단합니다.`),
+        });
+      }
+      return;
+    }
+
+    this.reconnectAttempts++;
+    const delayMs = Math.min(policy.baseDelayMs * Math.pow(2, this.reconnectAttempts - 1), policy.maxDelayMs);
+    const jitteredDelayMs = Math.round(delayMs * (1 - policy.jitter * Math.random()));
+
+    this._setState('reconnecting', { attempt: this.reconnectAttempts, delayMs: jitteredDelayMs });
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      try {
+        await this._openSocket();
+      } catch (error) {
+        if (this.manualClose) {
+          return;
+        }
+        this._emit('chatError', { error });
+        this._scheduleReconnect();
+      }
+    }, jitteredDelayMs);
+  }
+
+  /**
+   * 채팅 연결 상태 변경
+   * @param {string} state - 새 상태
+   * @param {Object} [details] - 이벤트에 함께 전달할 정보 (예: 재연결 시도 횟수)
+   * @private
+   */
+  _setState(state, details = {}) {
+    const previousState = this.state;
+    if (previousState === state && state !== 'reconnecting') {
+      return;
+    }
+
+    this.state = state;
+    this._emit('chatStateChange', {
+      channelId: this.channelId,
+      previousState,
+      state,
+      ...details,
+    });
+  }
+
+  /**
+   * 채팅 하트비트 시작
+   * PING을 보낸 뒤 PONG 응답 대기 시간 안에 응답이 없으면 연결이 죽은 것으로 보고 재연결합니다.
+   * @private
+   */
+  _startHeartbeat() {
+    this._stopHeartbeat();
+    
+    this.heartbeatInterval = setInterval(() => {
+      if (!this.socket || this.socket.readyState !== WEBSOCKET_OPEN || this.pongTimer) {
+        return;
+      }
+
+      this.pingSentAt = Date.now();
+      this.socket.send(JSON.stringify({ type: 'PING' }));
+      this.pongTimer = setTimeout(() => {
+        this.pongTimer = null;
+        this._emit('chatError', {
+          error: new ChzzkNetworkError(`채팅 연결 응답 없음: ${this.client.chatPongTimeoutMs}ms 동안 PONG을 받지 못했습니다.`),
+        });
+        this._forceCloseSocket('PONG timeout');
+      }, this.client.chatPongTimeoutMs);
+    }, this.client.chatHeartbeatIntervalMs);
+  }
+
+  /**
+   * 채팅 하트비트 중지
+   * @private
+   */
+  _stopHeartbeat() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+    clearTimeout(this.pongTimer);
+    this.pongTimer = null;
+    this.pingSentAt = null;
+  }
+
+  /**
+   * PONG 수신 처리 - 왕복 지연 시간 기록
+   * @private
+   */
+  _handlePong() {
+    if (!this.pingSentAt) {
+      return;
+    }
+
+    clearTimeout(this.pongTimer);
+    this.pongTimer = null;
+    this.latencyMs = Date.now() - this.pingSentAt;
+    this.pingSentAt = null;
+
+    this._emit('chatHeartbeat', {
+      channelId: this.channelId,
+      latencyMs: this.latencyMs,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * 응답 없는 채팅 웹소켓 강제 종료
+   * 반쯤 열린 연결은 close 핸드셰이크가 끝나지 않을 수 있으므로, 종료 처리를 바로 실행합니다.
+   * @param {string} reason - 종료 사유
+   * @private
+   */
+  _forceCloseSocket(reason) {
+    const socket = this.socket;
+    if (!socket) {
+      return;
+    }
+
+    const handleClose = socket.onclose;
+    socket.onclose = null;
+    socket.onerror = null;
+    socket.onmessage = null;
+
+    if (typeof socket.terminate === 'function') {
+      socket.terminate(); // ws 패키지
+    } else {
+      socket.close(4000, reason);
+    }
+
+    if (handleClose) {
+      handleClose({ code: 4000, reason });
+    }
+  }
+
+  /**
+   * 채팅 인증 메시지 전송
+   * @param {string} chatAccessToken - 채팅 접속 토큰
+   * @private
+   */
+  _sendAuthMessage(chatAccessToken) {
+    if (!this.socket || this.socket.readyState !== WEBSOCKET_OPEN) {
+      return;
+    }
+    
+    const authMessage = {
+      type: 'AUTH',
+      token: chatAccessToken,
+      channelId: this.channelId,
+    };
+    
+    this.socket.send(JSON.stringify(authMessage));
+  }
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * 채팅 이벤트 모델
+ * ----------------------------------------------------------------------------
+ */
+
+/**
+ * 채팅 이벤트 작성자 프로필
+ * @typedef {Object} ChatProfile
+ * @property {string} nickname - 닉네임
+ * @property {string|null} profileImageUrl - 프로필 이미지 URL
+ * @property {string|null} userRoleCode - 원본 역할 코드 (예: streamer, streaming_chat_manager, common_user)
+ * @property {'streamer'|'manager'|'user'} role - 정규화된 역할
+ * @property {Array} badges - 배지 목록
+ * @property {boolean} verifiedMark - 인증 마크 여부
+ * @property {{months: number, tier: number}|null} subscription - 구독 정보 (구독자가 아니면 null)
+ * @property {string|null} followDate - 팔로우 시작 일시 (팔로워가 아니면 null)
+ */
+
+/**
+ * 채팅 이벤트 공통 필드 (chatMessage, chatDonation, chatSubscription)
+ * @typedef {Object} ChatEvent
+ * @property {'message'|'donation'|'subscription'} type - 이벤트 종류
+ * @property {string} channelId - 채널 ID
+ * @property {string|null} messageId - 메시지 ID (setChatNotice({ messageId })에 사용)
+ * @property {string} userId - 작성자 ID
+ * @property {string} nickname - 작성자 닉네임
+ * @property {string} message - 메시지 내용
+ * @property {Object<string, string>} emojis - 이모지 코드 => 이미지 URL
+ * @property {Array} badges - 배지 목록
+ * @property {ChatProfile} profile - 작성자 프로필
+ * @property {'streamer'|'manager'|'user'} role - 작성자 역할
+ * @property {number} timestamp - 메시지 시각(ms)
+ * @property {Object} raw - 원본 메시지
+ */
+
+/**
+ * 역할 코드 정규화
+ * @param {string} userRoleCode - 원본 역할 코드
+ * @returns {'streamer'|'manager'|'user'} 정규화된 역할
+ */
+function normalizeChatRole(userRoleCode) {
+  if (userRoleCode === 'streamer') {
+    return 'streamer';
+  }
+  if (userRoleCode && userRoleCode.endsWith('_manager')) {
+    return 'manager';
+  }
+  return 'user';
+}
+
+/**
+ * 작성자 프로필 정규화
+ * profile이 JSON 문자열로 오는 경우도 처리합니다.
+ * @param {Object} message - 원본 메시지
+ * @returns {ChatProfile} 작성자 프로필
+ */
+function normalizeChatProfile(message) {
+  let profile = message.profile || {};
+  if (typeof profile === 'string') {
+    try {
+      profile = JSON.parse(profile);
+    } catch (error) {
+      profile = {};
+    }
+  }
+
+  const userRoleCode = profile.userRoleCode || message.userRoleCode || null;
+  const streamingProperty = profile.streamingProperty || {};
+  const subscription = streamingProperty.subscription || null;
+  const following = streamingProperty.following || null;
+  return {
+    nickname: profile.nickname || message.nickname,
+    profileImageUrl: profile.profileImageUrl || message.profileImageUrl || null,
+    userRoleCode,
+    role: normalizeChatRole(userRoleCode),
+    badges: profile.badges || message.badges || [],
+    verifiedMark: !!(profile.verifiedMark || message.verifiedMark),
+    subscription: subscription
+      ? { months: subscription.accumulativeMonth || 0, tier: subscription.tier || 1 }
+      : null,
+    followDate: (following && following.followDate) || null,
+  };
+}
+
+/**
+ * 작성자가 있는 채팅 이벤트의 공통 필드
+ * @param {string} type - 이벤트 종류
+ * @param {Object} message - 원본 메시지
+ * @param {string} channelId - 채널 ID
+ * @returns {ChatEvent} 공통 필드
+ */
+function createChatEvent(type, message, channelId) {
+  const profile = normalizeChatProfile(message);
+  return {
+    type,
+    channelId,
+    messageId: message.messageId || null,
+    userId: message.userId || message.senderChannelId,
+    nickname: profile.nickname,
+    message: message.content,
+    emojis: message.emojis || {},
+    badges: profile.badges,
+    profile,
+    role: profile.role,
+    timestamp: message.timestamp || message.messageTime || Date.now(),
+    raw: message,
+  };
+}
+
+// 기본 채팅 메시지 파서 (메시지 type => 이벤트 이름과 정규화 함수)
+const DEFAULT_CHAT_MESSAGE_PARSERS = {
+  CHAT: {
+    eventName: 'chatMessage',
+    parse: (message, channelId) => createChatEvent('message', message, channelId),
+  },
+  DONATION: {
+    eventName: 'chatDonation',
+    parse: (message, channelId) => ({
+      ...createChatEvent('donation', message, channelId),
+      amount: message.amount,
+      currency: message.currency || 'KRW',
+      isAnonymous: !!message.isAnonymous,
+    }),
+  },
+  SUBSCRIPTION: {
+    eventName: 'chatSubscription',
+    parse: (message, channelId) => ({
+      ...createChatEvent('subscription', message, channelId),
+      months: message.months || 1,
+      tier: message.tier || 1,
+      tierName: message.tierName || '기본 구독',
+    }),
+  },
+  NOTICE: {
+    eventName: 'chatNotice',
+    parse: (message, channelId) => ({
+      type: 'notice',
+      channelId,
+      messageId: message.messageId || null,
+      message: message.content,
+      noticeType: message.noticeType || 'NORMAL',
+      timestamp: message.timestamp || Date.now(),
+      raw: message,
+    }),
+  },
+};
+
+/**
+ * ----------------------------------------------------------------------------
+ * 채팅 이벤트 스트림
+ * ----------------------------------------------------------------------------
+ */
+
+// chatEvents()에서 types를 생략했을 때 받는 이벤트
+const DEFAULT_CHAT_EVENT_TYPES = ['chatMessage', 'chatDonation', 'chatSubscription', 'chatNotice'];
+
+// 버퍼가 가득 찼을 때의 처리 방식
+const CHAT_EVENT_DROP_POLICIES = ['oldest', 'newest', 'error'];
+
+/**
+ * 채팅 이벤트 비동기 반복자
+ * chzzk.chatEvents()로 생성합니다. 소비보다 이벤트가 빨리 들어오면 bufferSize까지 쌓아 두고,
+ * 넘치면 dropPolicy에 따라 처리합니다. 채팅 연결이 closed 상태가 되면 남은 이벤트를 전달한 뒤 끝납니다.
+ */
+export class ChatEventIterator {
+  /**
+   * @param {Chzzk} client - 이벤트를 구독할 Chzzk 인스턴스
+   * @param {Object} [options] - 반복자 옵션
+   * @param {string[]} [options.types] - 받을 이벤트 이름 (기본값: chatMessage, chatDonation, chatSubscription, chatNotice)
+   * @param {string} [options.channelId] - 이 채널의 이벤트만 받기 (생략하면 모든 채널)
+   * @param {number} [options.bufferSize=1000] - 최대 버퍼 크기
+   * @param {'oldest'|'newest'|'error'} [options.dropPolicy='oldest'] - 버퍼가 가득 찼을 때 오래된 이벤트 버림, 새 이벤트 버림, 에러로 종료
+   * @param {AbortSignal} [options.signal] - 반복 중단 신호
+   */
+  constructor(client, options = {}) {
+    const {
+      types = DEFAULT_CHAT_EVENT_TYPES,
+      channelId = null,
+      bufferSize = 1000,
+      dropPolicy = 'oldest',
+      signal,
+    } = options;
+
+    if (!Number.isInteger(bufferSize) || bufferSize < 1) {
+      throw new ChzzkValidationError('bufferSize는 1 이상의 정수여야 합니다.');
+    }
+    if (!CHAT_EVENT_DROP_POLICIES.includes(dropPolicy)) {
+      throw new ChzzkValidationError(`지원하지 않는 dropPolicy: ${dropPolicy}`);
+    }
+
+    this.client = client;
+    this.channelId = channelId;
+    this.bufferSize = bufferSize;
+    this.dropPolicy = dropPolicy;
+    this.buffer = [];
+    this.waiters = []; // next()를 호출하고 이벤트를 기다리는 소비자
+    this.dropped = 0; // 버퍼가 가득 차서 버린 이벤트 수
+    this.done = false;
+    this.error = null;
+
+    this.unsubscribers = types.map(eventName => client.on(eventName, data => this._push(data)));
+    this.unsubscribers.push(client.on('chatStateChange', data => this._handleStateChange(data)));
+
+    if (signal) {
+      if (signal.aborted) {
+        this._finish();
+        return;
+      }
+      const handleAbort = () => this._finish();
+      signal.addEventListener('abort', handleAbort, { once: true });
+      this.unsubscribers.push(() => signal.removeEventListener('abort', handleAbort));
+    }
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  /**
+   * 다음 이벤트
+   * @returns {Promise<{value: Object, done: boolean}>} 반복 결과
+   */
+  next() {
+    if (this.buffer.length > 0) {
+      return Promise.resolve({ value: this.buffer.shift(), done: false });
+    }
+
+    if (this.error) {
+      const error = this.error;
+      this.error = null;
+      return Promise.reject(error);
+    }
+
+    if (this.done) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+
+    return new Promise((resolve, reject) => {
+      this.waiters.push({ resolve, reject });
+    });
+  }
+
+  /**
+   * 반복 중단 (for await...of에서 break하면 자동으로 호출됨)
+   * 남은 이벤트는 버립니다.
+   * @returns {Promise<{value: undefined, done: boolean}>} 반복 결과
+   */
+  return() {
+    this.buffer = [];
+    this.error = null;
+    this._finish();
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  /**
+   * 받은 이벤트를 소비자에게 전달하거나 버퍼에 저장
+   * @param {Object} data - 이벤트 데이터
+   * @private
+   */
+  _push(data) {
+    if (this.done || (this.channelId && data.channelId !== this.channelId)) {
+      return;
+    }
+
+    if (this.waiters.length > 0) {
+      this.waiters.shift().resolve({ value: data, done: false });
+      return;
+    }
+
+    if (this.buffer.length >= this.bufferSize) {
+      this.dropped++;
+      if (this.dropPolicy === 'newest') {
+        return;
+      }
+      if (this.dropPolicy === 'error') {
+        this.error = new ChzzkError(`채팅 이벤트 버퍼가 가득 찼습니다. (${this.bufferSize}개)`);
+        this._finish();
+        return;
+      }
+      this.buffer.shift();
+    }
+
+    this.buffer.push(data);
+  }
+
+  /**
+   * 채팅 연결이 완전히 끊기면 반복 종료
+   * 채널을 지정하지 않았으면 모든 채팅 연결이 끊겼을 때 종료합니다.
+   * @param {Object} data - chatStateChange 이벤트 데이터
+   * @private
+   */
+  _handleStateChange({ channelId, state }) {
+    if (state !== 'closed') {
+      return;
+    }
+
+    const ended = this.channelId
+      ? channelId === this.channelId
+      : this.client.getChatConnections().every(connection => ['idle', 'closed'].includes(connection.getState()));
+    if (ended) {
+      this._finish();
+    }
+  }
+
+  /**
+   * 구독 해제 및 대기 중인 소비자 종료
+   * @private
+   */
+  _finish() {
+    if (this.done) {
+      return;
+    }
+
+    this.done = true;
+    for (const unsubscribe of this.unsubscribers) {
+      unsubscribe();
+    }
+    this.unsubscribers = [];
+
+    // 대기 중인 소비자가 있으면 버퍼는 비어 있음
+    const waiters = this.waiters;
+    this.waiters = [];
+    for (const { resolve, reject } of waiters) {
+      if (this.error) {
+        reject(this.error);
+        this.error = null;
+      } else {
+        resolve({ value: undefined, done: true });
+      }
+    }
+  }
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * 채팅 기록과 재생
+ * ----------------------------------------------------------------------------
+ * 기록 파일은 한 줄에 하나의 JSON 객체를 담은 JSONL 형식입니다.
+ * { "recordedAt": 1700000000000, "eventName": "chatRaw", "channelId": "...", "data": { ... } }
+ */
+
+/**
+ * 채팅 기록기
+ * chzzk.createChatRecorder()로 생성합니다. 웹소켓 원본 메시지(chatRaw)와 정규화된 채팅 이벤트를
+ * 최근 N개까지 메모리에 보관하고, directory를 지정하면 크기 기준으로 나뉜 JSONL 파일에도 저장합니다.
+ */
+export class ChatRecorder {
+  /**
+   * @param {Chzzk} client - 이벤트를 기록할 Chzzk 인스턴스
+   * @param {Object} [options] - 기록 옵션
+   * @param {string} [options.directory] - 기록 파일을 저장할 디렉터리 (생략하면 메모리에만 보관, Node.js 전용)
+   * @param {string} [options.filePrefix='chat'] - 기록 파일 이름 접두사
+   * @param {number} [options.maxFileBytes=10485760] - 파일 하나의 최대 크기 (넘으면 새 파일로 교체)
+   * @param {number} [options.maxFiles=0] - 보관할 최대 파일 수 (넘으면 오래된 파일 삭제, 0이면 제한 없음)
+   * @param {number} [options.bufferSize=1000] - 메모리에 보관할 최근 이벤트 수
+   * @param {string} [options.channelId] - 이 채널의 이벤트만 기록 (생략하면 모든 채널)
+   */
+  constructor(client, options = {}) {
+    const {
+      directory = null,
+      filePrefix = 'chat',
+      maxFileBytes = 10 * 1024 * 1024,
+      maxFiles = 0,
+      bufferSize = 1000,
+      channelId = null,
+    } = options;
+
+    if (!Number.isInteger(bufferSize) || bufferSize < 0) {
+      throw new ChzzkValidationError('bufferSize는 0 이상의 정수여야 합니다.');
+    }
+
+    this.client = client;
+    this.directory = directory;
+    this.filePrefix = filePrefix;
+    this.maxFileBytes = maxFileBytes;
+    this.maxFiles = maxFiles;
+    this.bufferSize = bufferSize;
+    this.channelId = channelId;
+    this.unsubscribe = null;
+
+    // 최근 이벤트 링 버퍼
+    this.ring = [];
+    this.ringStart = 0;
+
+    // 기록 파일 (쓰기는 순서대로 하나씩 처리)
+    this.file = null;
+    this.files = [];
+    this.fileCount = 0;
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * 기록 시작
+   */
+  start() {
+    if (this.unsubscribe) {
+      return;
+    }
+    this.unsubscribe = this.client.on('*', (data, eventName) => this._record(eventName, data));
+  }
+
+  /**
+   * 기록 중지
+   * 대기 중인 파일 쓰기를 마치고, 다음 start()부터는 새 파일에 기록합니다.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    await this.flush();
+    this.file = null;
+  }
+
+  /**
+   * 대기 중인 파일 쓰기 완료 대기
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.writeChain;
+  }
+
+  /**
+   * 기록 중 여부
+   * @returns {boolean} 기록 중이면 true
+   */
+  isRecording() {
+    return this.unsubscribe !== null;
+  }
+
+  /**
+   * 메모리에 보관된 최근 이벤트 (늦게 구독한 쪽이 지난 채팅을 따라잡을 때 사용)
+   * @param {Object} [options] - 조회 옵션
+   * @param {number} [options.limit] - 최대 개수 (최신 이벤트 기준)
+   * @param {string} [options.channelId] - 채널 ID로 필터
+   * @param {string|string[]} [options.eventName] - 이벤트 이름으로 필터 (예: 'chatMessage')
+   * @returns {Array<{recordedAt: number, eventName: string, channelId: string, data: Object}>} 오래된 순서의 기록
+   */
+  getRecent(options = {}) {
+    const { limit, channelId, eventName } = options;
+    const eventNames = eventName ? [].concat(eventName) : null;
+
+    const entries = [...this.ring.slice(this.ringStart), ...this.ring.slice(0, this.ringStart)]
+      .filter(entry =>
+        (!channelId || entry.channelId === channelId) &&
+        (!eventNames || eventNames.includes(entry.eventName))
+      );
+
+    return limit === undefined ? entries : entries.slice(Math.max(0, entries.length - limit));
+  }
+
+  /**
+   * 기록한 파일 경로 목록 (오래된 순서, maxFiles로 삭제된 파일 제외)
+   * @returns {string[]} 파일 경로 배열
+   */
+  getFiles() {
+    return [...this.files];
+  }
+
+  /**
+   * 기록 대상 이벤트인지 확인 (chatRaw, chatUnknown, 채팅 메시지 파서가 발생시키는 이벤트)
+   * @param {string} eventName - 이벤트 이름
+   * @returns {boolean} 기록 대상 여부
+   * @private
+   */
+  _shouldRecord(eventName) {
+    if (eventName === 'chatRaw' || eventName === 'chatUnknown') {
+      return true;
+    }
+    for (const parser of this.client.chatMessageParsers.values()) {
+      if (parser.eventName === eventName) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 이벤트 기록
+   * 재생(replayChat) 중인 이벤트는 원본 기록과 중복되므로 기록하지 않습니다.
+   * @param {string} eventName - 이벤트 이름
+   * @param {Object} data - 이벤트 데이터
+   * @private
+   */
+  _record(eventName, data) {
+    if (!data || data.replayed || !this._shouldRecord(eventName) || (this.channelId && data.channelId !== this.channelId)) {
+      return;
+    }
+
+    const entry = { recordedAt: Date.now(), eventName, channelId: data.channelId, data };
+
+    if (this.bufferSize > 0) {
+      if (this.ring.length < this.bufferSize) {
+        this.ring.push(entry);
+      } else {
+        this.ring[this.ringStart] = entry;
+        this.ringStart = (this.ringStart + 1) % this.bufferSize;
+      }
+    }
+
+    if (this.directory) {
+      const line = `${JSON.stringify(entry)}\n`;
+      this.writeChain = this.writeChain
+        .then(() => this._write(line))
+        .catch(error => this.client._reportError('채팅 기록 저장 실패', error));
+    }
+  }
+
+  /**
+   * 기록 파일에 한 줄 추가 (파일이 없거나 가득 차면 새 파일로 교체)
+   * @param {string} line - JSON 한 줄
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _write(line) {
+    const fs = await import('fs/promises');
+    const bytes = new TextEncoder().encode(line).length;
+
+    if (!this.file || (this.file.bytes > 0 && this.file.bytes + bytes > this.maxFileBytes)) {
+      await this._rotate(fs);
+    }
+
+    await fs.appendFile(this.file.path, line, 'utf8');
+    this.file.bytes += bytes;
+  }
+
+  /**
+   * 새 기록 파일 시작 및 오래된 파일 정리
+   * @param {Object} fs - fs/promises 모듈
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _rotate(fs) {
+    const path = await import('path');
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filePath = path.join(this.directory, `${this.filePrefix}-${stamp}-${this.fileCount++}.jsonl`);
+    this.file = { path: filePath, bytes: 0 };
+    this.files.push(filePath);
+
+    while (this.maxFiles > 0 && this.files.length > this.maxFiles) {
+      try {
+        await fs.unlink(this.files.shift());
+      } catch (error) {
+        // 이미 지워진 파일은 무시
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * 재생용 채팅 연결
+ * _handleChatMessage가 사용하는 부분만 구현하며, 재생된 이벤트에는 replayed: true가 붙습니다.
+ * @param {Chzzk} client - 이벤트를 전달할 Chzzk 인스턴스
+ * @param {string} channelId - 기록된 채널 ID
+ * @returns {Object} ChatConnection 호환 객체
+ */
+function createReplayConnection(client, channelId) {
+  return {
+    channelId,
+    _emit(eventName, data) {
+      client._triggerEvent(eventName, { channelId, ...data, replayed: true });
+    },
+    _handlePong() {},
+  };
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * 채팅 전송 대기열
+ * ----------------------------------------------------------------------------
+ */
+
+const MAX_CHAT_MESSAGE_LENGTH = 100; // 채팅 메시지 최대 길이 ([6](https://chzzk.gitbook.io/chzzk/chzzk-api/chat#채팅-메시지-전송))
+
+// 채팅 전송 대기열 기본 설정
+const DEFAULT_CHAT_SEND_QUEUE_OPTIONS = {
+  intervalMs: 1000,
+  maxLength: MAX_CHAT_MESSAGE_LENGTH,
+  maxQueueSize: 100,
+  duplicateWindowMs: 5000,
+};
+
+/**
+ * 문자열을 문자 단위(grapheme)로 분리
+ * 이모지나 조합 문자가 중간에 잘리지 않도록 Intl.Segmenter를 사용하고, 없으면 코드 포인트 단위로 분리합니다.
+ * @param {string} text - 분리할 문자열
+ * @returns {string[]} 문자 배열
+ */
+function splitGraphemes(text) {
+  if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+    return Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text), ({ segment }) => segment);
+  }
+  return Array.from(text);
+}
+
+/**
+ * 긴 채팅 메시지를 최대 길이 이하로 분할
+ * 가능하면 공백에서 자르고, 공백이 없으면 문자 경계에서 자릅니다. 길이는 String.length 기준입니다.
+ * @param {string} message - 분할할 메시지
+ * @param {number} [maxLength=100] - 조각 하나의 최대 길이
+ * @returns {string[]} 분할된 메시지 (빈 메시지면 빈 배열)
+ */
+export function splitChatMessage(message, maxLength = MAX_CHAT_MESSAGE_LENGTH) {
+  const graphemes = splitGraphemes(String(message).trim());
+  const parts = [];
+  let current = [];
+  let currentLength = 0;
+  let lastSpace = -1; // current 안의 마지막 공백 위치
+
+  for (const grapheme of graphemes) {
+    if (currentLength + grapheme.length > maxLength && current.length > 0) {
+      // 조각 뒤쪽 절반 안에 공백이 있으면 그 공백에서 자르기
+      const cut = lastSpace > current.length / 2 ? lastSpace : current.length;
+      parts.push(current.slice(0, cut).join('').trim());
+      current = current.slice(cut);
+      while (current.length > 0 && /^\s+$/.test(current[0])) {
+        current.shift();
+      }
+      currentLength = current.reduce((length, item) => length + item.length, 0);
+      lastSpace = -1;
+      current.forEach((item, index) => {
+        if (/^\s+$/.test(item)) {
+          lastSpace = index;
+        }
+      });
+    }
+
+    if (current.length === 0 && /^\s+$/.test(grapheme)) {
+      continue;
+    }
+    if (/^\s+$/.test(grapheme)) {
+      lastSpace = current.length;
+    }
+    current.push(grapheme);
+    currentLength += grapheme.length;
+  }
+
+  const rest = current.join('').trim();
+  if (rest) {
+    parts.push(rest);
+  }
+  return parts.filter(Boolean);
+}
+
+/**
+ * 채팅 전송 대기열
+ * 긴 메시지를 나눠 보내고, 전송 간격을 유지하며, 같은 메시지의 중복 전송을 막습니다.
+ * 우선순위가 높은 메시지(예: 관리 안내)는 대기 중인 일반 메시지보다 먼저 전송됩니다.
+ */
+export class ChatSendQueue {
+  /**
+   * @param {Chzzk} client - 메시지를 전송할 Chzzk 인스턴스
+   * @param {Object} [options] - 대기열 설정
+   * @param {number} [options.intervalMs=1000] - 메시지 조각 사이의 최소 전송 간격(ms)
+   * @param {number} [options.maxLength=100] - 조각 하나의 최대 길이
+   * @param {number} [options.maxQueueSize=100] - 대기 중인 메시지 최대 개수 (넘으면 reject)
+   * @param {number} [options.duplicateWindowMs=5000] - 같은 메시지를 중복으로 보는 시간(ms), 0이면 중복 검사 안 함
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.options = { ...DEFAULT_CHAT_SEND_QUEUE_OPTIONS, ...options };
+    this.queue = [];
+    this.current = null; // 전송 중인 메시지
+    this.processing = false;
+    this.lastSentAt = 0;
+    this.recentMessages = new Map(); // 메시지 => 전송 완료 시각
+    this.sequence = 0;
+  }
+
+  /**
+   * 메시지 전송 예약
+   * 대기 중이거나 전송 중인 같은 메시지가 있으면 새로 보내지 않고 그 결과를 함께 받으며,
+   * duplicateWindowMs 안에 이미 보낸 메시지면 보내지 않고 빈 배열로 resolve됩니다.
+   * @param {string} message - 전송할 메시지 (maxLength보다 길면 나눠서 전송)
+   * @param {Object} [options] - 전송 옵션
+   * @param {'high'|'normal'|'low'} [options.priority='normal'] - 전송 우선순위
+   * @returns {Promise<Object[]>} 조각별 sendChatMessage 결과 (모든 조각이 전송되면 resolve)
+   */
+  send(message, options = {}) {
+    const { priority = 'normal' } = options;
+    if (!(priority in REQUEST_PRIORITIES)) {
+      return Promise.reject(new ChzzkValidationError(`지원하지 않는 우선순위: ${priority}`));
+    }
+
+    const parts = splitChatMessage(message, this.options.maxLength);
+    if (parts.length === 0) {
+      return Promise.reject(new ChzzkValidationError('전송할 메시지가 비어 있습니다.'));
+    }
+
+    const key = parts.join(' ');
+    const duplicate = this._findDuplicate(key);
+    if (duplicate) {
+      // 대기 중인 메시지는 더 높은 우선순위로 올려 함께 처리
+      if (duplicate !== this.current && REQUEST_PRIORITIES[priority] < duplicate.priority) {
+        duplicate.priority = REQUEST_PRIORITIES[priority];
+        this._sortQueue();
+      }
+      return duplicate.promise;
+    }
+    if (this._isRecentlySent(key)) {
+      return Promise.resolve([]);
+    }
+
+    if (this.queue.length >= this.options.maxQueueSize) {
+      return Promise.reject(new ChzzkError(`채팅 전송 대기열이 가득 찼습니다. (${this.options.maxQueueSize}개)`));
+    }
+
+    const item = { key, parts, priority: REQUEST_PRIORITIES[priority], sequence: this.sequence++ };
+    item.promise = new Promise((resolve, reject) => {
+      item.resolve = resolve;
+      item.reject = reject;
+    });
+
+    this.queue.push(item);
+    this._sortQueue();
+    this._process();
+    return item.promise;
+  }
+
+  /**
+   * 대기 중인 메시지 수 (전송 중인 메시지 제외)
+   * @returns {number} 대기 중인 메시지 수
+   */
+  size() {
+    return this.queue.length;
+  }
+
+  /**
+   * 대기 중인 메시지 모두 취소
+   * 취소된 메시지의 Promise는 reject됩니다. 전송 중인 메시지는 끝까지 전송합니다.
+   */
+  clear() {
+    const items = this.queue;
+    this.queue = [];
+    for (const item of items) {
+      item.reject(new ChzzkError('채팅 전송이 취소되었습니다.'));
+    }
+  }
+
+  /**
+   * 대기 중이거나 전송 중인 같은 메시지 찾기
+   * @param {string} key - 메시지 내용
+   * @returns {Object|undefined} 대기열 항목
+   * @private
+   */
+  _findDuplicate(key) {
+    if (this.options.duplicateWindowMs <= 0) {
+      return undefined;
+    }
+    if (this.current && this.current.key === key) {
+      return this.current;
+    }
+    return this.queue.find(item => item.key === key);
+  }
+
+  /**
+   * 최근에 보낸 메시지인지 확인 (만료된 기록은 정리)
+   * @param {string} key - 메시지 내용
+   * @returns {boolean} duplicateWindowMs 안에 보낸 메시지면 true
+   * @private
+   */
+  _isRecentlySent(key) {
+    const now = Date.now();
+    for (const [message, sentAt] of this.recentMessages) {
+      if (now - sentAt >= this.options.duplicateWindowMs) {
+        this.recentMessages.delete(message);
+      }
+    }
+    return this.recentMessages.has(key);
+  }
+
+  /**
+   * 우선순위, 등록 순서로 대기열 정렬
+   * @private
+   */
+  _sortQueue() {
+    this.queue.sort((a, b) => a.priority - b.priority || a.sequence - b.sequence);
+  }
+
+  /**
+   * 대기열 처리
+   * 한 메시지의 조각은 다른 메시지와 섞이지 않고 연속으로 전송됩니다.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _process() {
+    if (this.processing) {
+      return;
+    }
+    this.processing = true;
+
+    while (this.queue.length > 0) {
+      const item = this.queue.shift();
+      this.current = item;
+
+      try {
+        const results = [];
+        for (const part of item.parts) {
+          await sleep(this.lastSentAt + this.options.intervalMs - Date.now());
+          try {
+            results.push(await this.client.sendChatMessage(part));
+          } finally {
+            this.lastSentAt = Date.now();
+          }
+        }
+        if (this.options.duplicateWindowMs > 0) {
+          this.recentMessages.set(item.key, Date.now());
+        }
+        item.resolve(results);
+      } catch (error) {
+        item.reject(error);
+      }
+    }
+
+    this.current = null;
+    this.processing = false;
+  }
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * 채팅 명령어
+ * ----------------------------------------------------------------------------
+ */
+
+// 명령어 권한 등급 (높을수록 강한 권한, 낮은 등급의 명령어도 사용 가능)
+const CHAT_ROLE_RANKS = {
+  user: 0,
+  follower: 1,
+  subscriber: 2,
+  manager: 3,
+  streamer: 4,
+};
+
+/**
+ * 채팅 이벤트 작성자의 권한 등급
+ * @param {ChatEvent} event - 채팅 이벤트
+ * @returns {'streamer'|'manager'|'subscriber'|'follower'|'user'} 가장 높은 권한
+ */
+function getChatUserRole(event) {
+  if (event.role === 'streamer' || event.role === 'manager') {
+    return event.role;
+  }
+
+  const profile = event.profile || {};
+  if (profile.subscription) {
+    return 'subscriber';
+  }
+  if (profile.followDate) {
+    return 'follower';
+  }
+  return 'user';
+}
+
+/**
+ * 명령어 인자 문자열을 토큰으로 분리 (따옴표로 묶은 인자는 공백 포함)
+ * @param {string} text - 인자 문자열
+ * @returns {Array<{value: string, index: number}>} 토큰과 원문에서의 위치
+ */
+export function tokenizeCommandArgs(text) {
+  return Array.from(text.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g), match => ({
+    value: match[1] ?? match[2] ?? match[3],
+    index: match.index,
+  }));
+}
+
+/**
+ * 명령어 인자 하나를 타입에 맞게 변환
+ * @param {Object} arg - 인자 정의
+ * @param {string} value - 입력 값
+ * @returns {*} 변환된 값
+ */
+function parseCommandArg(arg, value) {
+  switch (arg.type || 'string') {
+    case 'number':
+    case 'integer': {
+      const number = Number(value);
+      if (value === '' || Number.isNaN(number) || (arg.type === 'integer' && !Number.isInteger(number))) {
+        throw new ChzzkValidationError(`${arg.name}: ${arg.type === 'integer' ? '정수' : '숫자'}를 입력하세요.`);
+      }
+      return number;
+    }
+    case 'boolean': {
+      const normalized = value.toLowerCase();
+      if (['true', 'yes', 'on', '1', '켜기', '예'].includes(normalized)) {
+        return true;
+      }
+      if (['false', 'no', 'off', '0', '끄기', '아니오'].includes(normalized)) {
+        return false;
+      }
+      throw new ChzzkValidationError(`${arg.name}: on 또는 off를 입력하세요.`);
+    }
+    case 'user':
+      return value.replace(/^@/, '');
+    case 'string':
+    case 'rest':
+      return value;
+    default:
+      throw new ChzzkValidationError(`지원하지 않는 인자 타입: ${arg.type}`);
+  }
+}
+
+/**
+ * 채팅 명령어 라우터
+ * chzzk.createCommandRouter()로 생성합니다. chatMessage 이벤트에서 접두사나 정규식으로 명령어를 찾아
+ * 인자 변환, 권한 확인, 쿨다운을 거친 뒤 핸들러를 실행합니다. 핸들러가 문자열을 반환하면 채팅으로 응답합니다.
+ */
+export class ChatCommandRouter {
+  /**
+   * @param {Chzzk} client - 채팅 이벤트를 받고 응답을 보낼 Chzzk 인스턴스
+   * @param {Object} [options] - 라우터 설정
+   * @param {string} [options.prefix='!'] - 명령어 접두사
+   * @param {string} [options.channelId] - 이 채널의 채팅만 처리 (생략하면 모든 채널)
+   * @param {boolean} [options.caseSensitive=false] - 명령어 이름 대소문자 구분 여부
+   * @param {string|false} [options.helpCommand='help'] - 도움말 명령어 이름 (false면 등록하지 않음)
+   * @param {string|null} [options.cooldownExemptRole='manager'] - 이 권한 이상은 쿨다운 무시 (null이면 모두 적용)
+   * @param {'high'|'normal'|'low'} [options.replyPriority='normal'] - 응답 전송 우선순위
+   */
+  constructor(client, options = {}) {
+    const {
+      prefix = '!',
+      channelId = null,
+      caseSensitive = false,
+      helpCommand = 'help',
+      cooldownExemptRole = 'manager',
+      replyPriority = 'normal',
+    } = options;
+
+    this.client = client;
+    this.prefix = prefix;
+    this.channelId = channelId;
+    this.caseSensitive = caseSensitive;
+    this.cooldownExemptRole = cooldownExemptRole;
+    this.replyPriority = replyPriority;
+    this.commands = new Map(); // 이름 => 명령어 정의
+    this.triggers = new Map(); // 이름 또는 별칭 => 명령어 정의
+    this.patternCommands = []; // 정규식으로 실행되는 명령어
+    this.cooldowns = new Map(); // 쿨다운 키 => 만료 시각
+    this.unsubscribe = null;
+
+    if (helpCommand) {
+      this.command({
+        name: helpCommand,
+        description: '명령어 목록과 사용법을 보여줍니다.',
+        args: [{ name: 'command', required: false }],
+        handler: ({ args }) => this.getHelp(args.command),
+      });
+    }
+  }
+
+  /**
+   * 명령어 등록
+   * @param {Object} definition - 명령어 정의
+   * @param {string} definition.name - 명령어 이름 (접두사 제외)
+   * @param {string[]} [definition.aliases] - 별칭
+   * @param {RegExp} [definition.pattern] - 접두사 대신 메시지 전체에 적용할 정규식 (캡처 그룹이 rawArgs가 됨)
+   * @param {string} [definition.description] - 도움말 설명
+   * @param {Array<{name: string, type?: 'string'|'number'|'integer'|'boolean'|'user'|'rest', required?: boolean, default?: *}>} [definition.args] - 인자 정의 (rest는 남은 문자열 전체)
+   * @param {'follower'|'subscriber'|'manager'|'streamer'} [definition.role] - 사용에 필요한 최소 권한
+   * @param {number} [definition.cooldownMs] - 사용자별 쿨다운(ms)
+   * @param {number} [definition.globalCooldownMs] - 전체 쿨다운(ms)
+   * @param {boolean} [definition.hidden=false] - 도움말 목록에서 숨김
+   * @param {Function} definition.handler - (context) => 응답 문자열 | void (Promise 가능)
+   * @returns {Function} 명령어 등록 해제 함수
+   */
+  command(definition) {
+    const { name, aliases = [], pattern, role, handler } = definition;
+    if (!name || typeof handler !== 'function') {
+      throw new ChzzkValidationError('명령어 이름과 핸들러 함수가 필요합니다.');
+    }
+    if (role && !(role in CHAT_ROLE_RANKS)) {
+      throw new ChzzkValidationError(`지원하지 않는 권한: ${role}`);
+    }
+    if (this.commands.has(name)) {
+      throw new ChzzkValidationError(`이미 등록된 명령어: ${name}`);
+    }
+
+    const command = { args: [], ...definition, aliases };
+    const triggers = pattern ? [] : [name, ...aliases].map(trigger => this._normalizeName(trigger));
+    for (const trigger of triggers) {
+      if (this.triggers.has(trigger)) {
+        throw new ChzzkValidationError(`이미 사용 중인 명령어 이름: ${trigger}`);
+      }
+    }
+
+    this.commands.set(name, command);
+    for (const trigger of triggers) {
+      this.triggers.set(trigger, command);
+    }
+    if (pattern) {
+      this.patternCommands.push(command);
+    }
+
+    return () => {
+      if (this.commands.get(name) !== command) {
+        return;
+      }
+      this.commands.delete(name);
+      for (const trigger of triggers) {
+        this.triggers.delete(trigger);
+      }
+      this.patternCommands = this.patternCommands.filter(item => item !== command);
+    };
+  }
+
+  /**
+   * chatMessage 이벤트 처리 시작
+   */
+  start() {
+    if (this.unsubscribe) {
+      return;
+    }
+    this.unsubscribe = this.client.on('chatMessage', event => this.handle(event));
+  }
+
+  /**
+   * chatMessage 이벤트 처리 중지
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  /**
+   * 채팅 이벤트 하나를 명령어로 처리
+   * start()하지 않고 직접 호출할 수도 있습니다. (테스트, 재생 등)
+   * @param {ChatEvent} event - 채팅 이벤트
+   * @returns {Promise<boolean>} 명령어를 실행했으면 true
+   */
+  async handle(event) {
+    if (!event || typeof event.message !== 'string' || (this.channelId && event.channelId !== this.channelId)) {
+      return false;
+    }
+
+    const matched = this._match(event.message);
+    if (!matched) {
+      return false;
+    }
+
+    const { command } = matched;
+    const role = getChatUserRole(event);
+    if (command.role && CHAT_ROLE_RANKS[role] < CHAT_ROLE_RANKS[command.role]) {
+      return false;
+    }
+    const context = {
+      command,
+      event,
+      role,
+      match: matched.match || null,
+      rawArgs: matched.rawArgs,
+      args: {},
+      reply: (message, options = {}) =>
+        this.client.queueChatMessage(message, { priority: this.replyPriority, ...options }),
+    };
+
+    // 사용법 안내도 응답이므로, 잘못된 인자로 반복 호출해도 쿨다운을 적용
+    if (!this._checkCooldown(command, event, role)) {
+      return false;
+    }
+
+    try {
+      if (!command.pattern) {
+        context.args = this._parseArgs(command, matched.argsText);
+      }
+    } catch (error) {
+      if (!(error instanceof ChzzkValidationError)) {
+        throw error;
+      }
+      await this._reply(context, `${error.message} (사용법: ${this.getUsage(command)})`);
+      return true;
+    }
+
+    try {
+      const result = await command.handler(context);
+      if (typeof result === 'string' && result) {
+        await this._reply(context, result);
+      }
+    } catch (error) {
+      this.client._reportError(`채팅 명령어 처리 실패 (${command.name})`, error, { command: command.name, event });
+    }
+    return true;
+  }
+
+  /**
+   * 명령어 사용법 문자열 (예: !dice <sides:integer> [count:integer])
+   * @param {Object|string} command - 명령어 정의 또는 이름
+   * @returns {string} 사용법
+   */
+  getUsage(command) {
+    const definition = typeof command === 'string' ? this.commands.get(command) : command;
+    if (!definition) {
+      return '';
+    }
+    if (definition.usage) {
+      return definition.usage;
+    }
+    if (definition.pattern) {
+      return String(definition.pattern);
+    }
+
+    const args = definition.args.map((arg) => {
+      const label = arg.type && arg.type !== 'string' ? `${arg.name}:${arg.type}` : arg.name;
+      return arg.required === false || arg.default !== undefined ? `[${label}]` : `<${label}>`;
+    });
+    return [`${this.prefix}${definition.name}`, ...args].join(' ');
+  }
+
+  /**
+   * 도움말 문자열
+   * @param {string} [name] - 명령어 이름 또는 별칭 (생략하면 전체 목록)
+   * @returns {string} 도움말
+   */
+  getHelp(name) {
+    if (name) {
+      const trigger = this.prefix && name.startsWith(this.prefix) ? name.slice(this.prefix.length) : name;
+      const command = this.triggers.get(this._normalizeName(trigger))
+        || this.commands.get(name);
+      if (!command) {
+        return `알 수 없는 명령어: ${name}`;
+      }
+
+      const details = [this.getUsage(command)];
+      if (command.description) {
+        details.push(command.description);
+      }
+      if (command.aliases.length > 0) {
+        details.push(`별칭: ${command.aliases.map(alias => `${this.prefix}${alias}`).join(', ')}`);
+      }
+      return details.join(' - ');
+    }
+
+    const names = Array.from(this.commands.values())
+      .filter(command => !command.hidden && !command.pattern)
+      .map(command => `${this.prefix}${command.name}`);
+    return `명령어: ${names.join(', ')}`;
+  }
+
+  /**
+   * 메시지에 해당하는 명령어 찾기 (접두사 명령어 먼저, 그다음 정규식 명령어 순서)
+   * @param {string} message - 채팅 메시지
+   * @returns {Object|null} { command, argsText, rawArgs, match }
+   * @private
+   */
+  _match(message) {
+    const text = message.trim();
+
+    if (this.prefix && text.startsWith(this.prefix)) {
+      const [trigger = ''] = text.slice(this.prefix.length).split(/\s/, 1);
+      const command = this.triggers.get(this._normalizeName(trigger));
+      if (command) {
+        const argsText = text.slice(this.prefix.length + trigger.length).trim();
+        return { command, argsText, rawArgs: tokenizeCommandArgs(argsText).map(token => token.value) };
+      }
+    }
+
+    for (const command of this.patternCommands) {
+      command.pattern.lastIndex = 0;
+      const match = command.pattern.exec(text);
+      if (match) {
+        return { command, argsText: '', rawArgs: match.slice(1), match };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 인자 정의에 따라 인자 변환
+   * @param {Object} command - 명령어 정의
+   * @param {string} argsText - 명령어 뒤의 문자열
+   * @returns {Object} 인자 이름 => 값
+   * @private
+   */
+  _parseArgs(command, argsText) {
+    const tokens = tokenizeCommandArgs(argsText);
+    const args = {};
+
+    command.args.forEach((arg, index) => {
+      const token = tokens[index];
+      if (!token) {
+        if (arg.default !== undefined) {
+          args[arg.name] = arg.default;
+        } else if (arg.required !== false) {
+          throw new ChzzkValidationError(`${arg.name}: 값이 필요합니다.`);
+        }
+        return;
+      }
+
+      args[arg.name] = arg.type === 'rest'
+        ? argsText.slice(token.index).trim()
+        : parseCommandArg(arg, token.value);
+    });
+
+    return args;
+  }
+
+  /**
+   * 쿨다운 확인 후 통과하면 쿨다운 시작
+   * @param {Object} command - 명령어 정의
+   * @param {ChatEvent} event - 채팅 이벤트
+   * @param {string} role - 작성자 권한
+   * @returns {boolean} 실행 가능하면 true
+   * @private
+   */
+  _checkCooldown(command, event, role) {
+    if (this.cooldownExemptRole && CHAT_ROLE_RANKS[role] >= CHAT_ROLE_RANKS[this.cooldownExemptRole]) {
+      return true;
+    }
+
+    const now = Date.now();
+    const userKey = `${command.name}:${event.channelId}:${event.userId}`;
+    const globalKey = `${command.name}:${event.channelId}`;
+    if ((this.cooldowns.get(userKey) || 0) > now || (this.cooldowns.get(globalKey) || 0) > now) {
+      return false;
+    }
+
+    // 만료된 쿨다운 정리
+    for (const [key, expiresAt] of this.cooldowns) {
+      if (expiresAt <= now) {
+        this.cooldowns.delete(key);
+      }
+    }
+
+    if (command.cooldownMs) {
+      this.cooldowns.set(userKey, now + command.cooldownMs);
+    }
+    if (command.globalCooldownMs) {
+      this.cooldowns.set(globalKey, now + command.globalCooldownMs);
+    }
+    return true;
+  }
+
+  /**
+   * 응답 전송 (실패하면 error 이벤트로 전달)
+   * @param {Object} context - 명령어 실행 컨텍스트
+   * @param {string} message - 응답 메시지
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _reply(context, message) {
+    try {
+      await context.reply(message);
+    } catch (error) {
+      this.client._reportError(`채팅 명령어 응답 실패 (${context.command.name})`, error, { command: context.command.name });
+    }
+  }
+
+  /**
+   * 명령어 이름 정규화 (대소문자 구분 설정 반영)
+   * @param {string} name - 명령어 이름
+   * @returns {string} 정규화된 이름
+   * @private
+   */
+  _normalizeName(name) {
+    return this.caseSensitive ? name : name.toLowerCase();
+  }
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * 채팅 자동 모더레이션
+ * ----------------------------------------------------------------------------
+ */
+
+// 규칙별 기본 설정 (rules에 true를 주면 이 값을 사용)
+const DEFAULT_MODERATION_RULES = {
+  blocklist: { words: [], patterns: [], addFilterWord: false },
+  caps: { minLength: 10, maxRatio: 0.7 },
+  repeatedChars: { maxRepeat: 10 },
+  links: { allow: [] },
+  flood: { maxMessages: 5, windowMs: 10 * 1000 },
+  duplicates: { maxUsers: 3, windowMs: 30 * 1000, minLength: 5 },
+};
+
+// 기본 제재 단계 (누적 위반 횟수에 따라 차례로 적용)
+const DEFAULT_MODERATION_ESCALATION = [
+  { action: 'warn' },
+  { action: 'timeout', durationMs: 60 * 1000 },
+  { action: 'timeout', durationMs: 10 * 60 * 1000 },
+  { action: 'ban' },
+];
+
+const LINK_PATTERN = /\b(?:https?:\/\/)?((?:[a-z0-9-]+\.)+(?:com|net|org|io|kr|me|gg|ly|co|tv|xyz|app|dev|link|site))\b(?:\/\S*)?/gi;
+
+/**
+ * 채널의 채팅 관리 API를 호출할 클라이언트 찾기
+ * 채널이 등록된 계정이면 그 계정의 스코프 클라이언트를, client 자신의 채널(accountId 또는 boundChannelId)이면 client를 사용합니다.
+ * 채팅 관리 API는 토큰 소유자의 채널에 적용되므로, 다른 채널의 이벤트로 client의 채널을 제재하지 않기 위함입니다.
+ * @param {Chzzk} client - 이벤트를 받은 Chzzk 인스턴스
+ * @param {string} channelId - 이벤트가 발생한 채널 ID
+ * @param {string|null} boundChannelId - 기능이 처리하도록 지정된 채널 ID (options.channelId)
+ * @returns {Chzzk|null} 채널의 클라이언트 (토큰이 없는 채널이면 null)
+ */
+function getChannelClient(client, channelId, boundChannelId) {
+  if (client.hasAccount(channelId)) {
+    return client.account(channelId);
+  }
+  if (channelId && (client.accountId === channelId || boundChannelId === channelId)) {
+    return client;
+  }
+  return null;
+}
+
+/**
+ * 채팅 자동 모더레이션 엔진
+ * chzzk.createModerationEngine()으로 생성합니다. chatMessage 이벤트마다 규칙을 검사하고,
+ * 위반하면 누적 횟수에 따라 경고 → 임시 제재 → 영구 제재 순서로 처리합니다.
+ * 모든 판정은 감사 로그에 남고 chatModeration 이벤트로 전달됩니다.
+ */
+export class ChatModerationEngine {
+  /**
+   * @param {Chzzk} client - 채팅 이벤트를 받고 제재를 실행할 Chzzk 인스턴스
+   * @param {Object} [options] - 엔진 설정
+   * @param {Object} [options.rules] - 사용할 규칙과 설정 (true면 기본 설정, 생략한 규칙은 사용 안 함)
+   * @param {Object} [options.rules.blocklist] - 금지어 ({ words, patterns, addFilterWord })
+   * @param {Object} [options.rules.caps] - 대문자 비율 ({ minLength, maxRatio })
+   * @param {Object} [options.rules.repeatedChars] - 같은 문자 반복 ({ maxRepeat })
+   * @param {Object} [options.rules.links] - 링크 ({ allow: 허용 도메인 목록 })
+   * @param {Object} [options.rules.flood] - 사용자별 도배 ({ maxMessages, windowMs })
+   * @param {Object} [options.rules.duplicates] - 여러 사용자의 같은 메시지 ({ maxUsers, windowMs, minLength })
+   * @param {Array<{action: 'warn'|'timeout'|'ban', durationMs?: number}>} [options.escalation] - 위반 횟수별 제재 단계
+   * @param {number} [options.strikeWindowMs=3600000] - 위반 횟수를 누적하는 시간(ms), 지나면 초기화
+   * @param {string|null} [options.exemptRole='manager'] - 이 권한 이상은 검사하지 않음 (null이면 모두 검사)
+   * @param {boolean} [options.dryRun=false] - true면 판정만 기록하고 제재는 실행하지 않음
+   * @param {string} [options.channelId] - 이 채널의 채팅만 처리 (생략하면 모든 채널).
+   *   멀티 계정으로 등록하지 않은 채널을 제재하려면 client의 토큰이 이 채널의 것이어야 하며, 이 값을 지정해야 합니다.
+   * @param {number} [options.auditLogSize=1000] - 보관할 감사 로그 수
+   * @param {boolean} [options.publicWarnings=false] - true면 경고를 채팅으로도 보냄 (기본값은 chatModeration 이벤트만 발생)
+   * @param {Function} [options.warnMessage] - (event, decision) => 경고 메시지 (publicWarnings일 때 사용)
+   */
+  constructor(client, options = {}) {
+    const {
+      rules = {},
+      escalation = DEFAULT_MODERATION_ESCALATION,
+      strikeWindowMs = 60 * 60 * 1000,
+      exemptRole = 'manager',
+      dryRun = false,
+      channelId = null,
+      auditLogSize = 1000,
+      publicWarnings = false,
+      warnMessage = (event, decision) => `@${event.nickname}님, ${decision.reason} (경고 ${decision.strike}회)`,
+    } = options;
+
+    if (!Array.isArray(escalation) || escalation.length === 0) {
+      throw new ChzzkValidationError('escalation에는 한 개 이상의 제재 단계가 필요합니다.');
+    }
+
+    this.client = client;
+    this.escalation = escalation;
+    this.strikeWindowMs = strikeWindowMs;
+    this.exemptRole = exemptRole;
+    this.dryRun = dryRun;
+    this.channelId = channelId;
+    this.auditLogSize = auditLogSize;
+    this.publicWarnings = publicWarnings;
+    this.warnMessage = warnMessage;
+    this.rules = [];
+    this.strikes = new Map(); // 사용자 키 => { count, lastAt }
+    this.userMessages = new Map(); // 사용자 키 => 최근 메시지 시각 목록 (도배 검사)
+    this.recentMessages = new Map(); // 정규화된 메시지 => [{ userId, at }] (중복 검사)
+    this.trackWindowMs = 0; // 메시지 기록 보관 시간 (도배/중복 규칙의 windowMs 중 최댓값)
+    this.filterWordsAdded = new Set();
+    this.auditLog = [];
+    this.unsubscribe = null;
+
+    // 기본 규칙 이름 => 검사 메서드
+    const checks = {
+      blocklist: this._checkBlocklist,
+      caps: this._checkCaps,
+      repeatedChars: this._checkRepeatedChars,
+      links: this._checkLinks,
+      flood: this._checkFlood,
+      duplicates: this._checkDuplicates,
+    };
+
+    for (const [name, config] of Object.entries(rules)) {
+      if (!config) {
+        continue;
+      }
+      if (!(name in DEFAULT_MODERATION_RULES)) {
+        throw new ChzzkValidationError(`지원하지 않는 모더레이션 규칙: ${name}`);
+      }
+      const settings = { ...DEFAULT_MODERATION_RULES[name], ...(config === true ? {} : config) };
+      if (settings.windowMs) {
+        this.trackWindowMs = Math.max(this.trackWindowMs, settings.windowMs);
+      }
+      const check = checks[name];
+      this.addRule({ name, check: (event, now) => check.call(this, event, settings, now) });
+    }
+  }
+
+  /**
+   * 사용자 정의 규칙 추가
+   * @param {Object} rule - 규칙
+   * @param {string} rule.name - 규칙 이름 (감사 로그에 기록)
+   * @param {Function} rule.check - (event, now) => 위반 사유 문자열 또는 { reason, word } | null
+   * @returns {Function} 규칙 제거 함수
+   */
+  addRule(rule) {
+    if (!rule || !rule.name || typeof rule.check !== 'function') {
+      throw new ChzzkValidationError('규칙 이름과 check 함수가 필요합니다.');
+    }
+
+    this.rules.push(rule);
+    return () => {
+      this.rules = this.rules.filter(item => item !== rule);
+    };
+  }
+
+  /**
+   * chatMessage 이벤트 처리 시작
+   */
+  start() {
+    if (this.unsubscribe) {
+      return;
+    }
+    this.unsubscribe = this.client.on('chatMessage', event => this.handle(event));
+  }
+
+  /**
+   * chatMessage 이벤트 처리 중지
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  /**
+   * 채팅 이벤트 검사 (제재는 실행하지 않음)
+   * 도배/중복 검사를 위해 메시지 기록은 갱신됩니다.
+   * @param {ChatEvent} event - 채팅 이벤트
+   * @returns {{rule: string, reason: string, word?: string}|null} 위반 내용 (없으면 null)
+   */
+  evaluate(event) {
+    const now = Date.now();
+    this._trackMessage(event, now);
+
+    for (const rule of this.rules) {
+      const result = rule.check(event, now);
+      if (result) {
+        return typeof result === 'string'
+          ? { rule: rule.name, reason: result }
+          : { rule: rule.name, ...result };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 채팅 이벤트 하나를 검사하고 위반하면 제재
+   * start()하지 않고 직접 호출할 수도 있습니다.
+   * @param {ChatEvent} event - 채팅 이벤트
+   * @returns {Promise<Object|null>} 감사 로그 항목 (검사 대상이 아니거나 위반이 없으면 null)
+   */
+  async handle(event) {
+    if (!event || typeof event.message !== 'string' || (this.channelId && event.channelId !== this.channelId)) {
+      return null;
+    }
+    if (this.exemptRole && CHAT_ROLE_RANKS[getChatUserRole(event)] >= CHAT_ROLE_RANKS[this.exemptRole]) {
+      return null;
+    }
+
+    const violation = this.evaluate(event);
+    if (!violation) {
+      return null;
+    }
+
+    const strike = this._addStrike(event);
+    const step = this.escalation[Math.min(strike, this.escalation.length) - 1];
+    const decision = {
+      timestamp: Date.now(),
+      channelId: event.channelId,
+      userId: event.userId,
+      nickname: event.nickname,
+      messageId: event.messageId || null,
+      message: event.message,
+      rule: violation.rule,
+      reason: violation.reason,
+      strike,
+      action: step.action,
+      durationMs: step.durationMs || null,
+      dryRun: this.dryRun,
+      error: null,
+    };
+
+    if (!this.dryRun) {
+      try {
+        await this._enforce(event, decision, violation);
+      } catch (error) {
+        decision.error = error;
+        this.client._reportError(`채팅 모더레이션 실행 실패 (${decision.action})`, error, { decision });
+      }
+    }
+
+    this._audit(decision);
+    return decision;
+  }
+
+  /**
+   * 감사 로그 조회
+   * @param {Object} [options] - 조회 옵션
+   * @param {string} [options.userId] - 사용자 ID로 필터
+   * @param {number} [options.limit] - 최대 개수 (최신 기준)
+   * @returns {Object[]} 오래된 순서의 감사 로그
+   */
+  getAuditLog(options = {}) {
+    const entries = options.userId
+      ? this.auditLog.filter(entry => entry.userId === options.userId)
+      : [...this.auditLog];
+    return options.limit === undefined ? entries : entries.slice(Math.max(0, entries.length - options.limit));
+  }
+
+  /**
+   * 사용자의 누적 위반 횟수 초기화
+   * @param {string} userId - 사용자 ID
+   * @param {string} [channelId] - 채널 ID (생략하면 모든 채널)
+   */
+  resetStrikes(userId, channelId) {
+    for (const key of this.strikes.keys()) {
+      if (key.endsWith(`:${userId}`) && (!channelId || key === `${channelId}:${userId}`)) {
+        this.strikes.delete(key);
+      }
+    }
+  }
+
+  /**
+   * 제재 실행
+   * @param {ChatEvent} event - 채팅 이벤트
+   * @param {Object} decision - 판정 내용
+   * @param {Object} violation - 위반 내용
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _enforce(event, decision, violation) {
+    // 위반이 발생한 채널의 클라이언트로 제재 (토큰이 없는 채널이면 제재하지 않음)
+    const channelClient = getChannelClient(this.client, event.channelId, this.channelId);
+    if (!channelClient) {
+      throw new ChzzkValidationError(`토큰이 없는 채널은 제재할 수 없습니다: ${event.channelId}`);
+    }
+
+    const filterWordKey = `${event.channelId}:${violation.word}`;
+    if (violation.word && violation.addFilterWord && !this.filterWordsAdded.has(filterWordKey)) {
+      this.filterWordsAdded.add(filterWordKey);
+      await channelClient.addChatFilterWord(violation.word);
+    }
+
+    switch (decision.action) {
+      case 'warn':
+        // 공개 채팅에 닉네임을 언급하는 경고는 명시적으로 켠 경우에만 전송
+        if (this.publicWarnings) {
+          await channelClient.queueChatMessage(this.warnMessage(event, decision), { priority: 'high' });
+        }
+        break;
+      case 'timeout':
+        await channelClient.timeoutChatUser(event.userId, decision.durationMs, decision.reason);
+        break;
+      case 'ban':
+        await channelClient.banChatUser({ userId: event.userId, reason: decision.reason });
+        break;
+      default:
+        throw new ChzzkValidationError(`지원하지 않는 제재: ${decision.action}`);
+    }
+  }
+
+  /**
+   * 감사 로그 기록 및 chatModeration 이벤트 발생
+   * @param {Object} decision - 판정 내용
+   * @private
+   */
+  _audit(decision) {
+    this.auditLog.push(decision);
+    if (this.auditLog.length > this.auditLogSize) {
+      this.auditLog.shift();
+    }
+    this.client._triggerEvent('chatModeration', decision);
+  }
+
+  /**
+   * 위반 횟수 증가 (strikeWindowMs가 지났으면 1부터 다시 시작)
+   * @param {ChatEvent} event - 채팅 이벤트
+   * @returns {number} 누적 위반 횟수
+   * @private
+   */
+  _addStrike(event) {
+    const now = Date.now();
+    const key = `${event.channelId}:${event.userId}`;
+    const previous = this.strikes.get(key);
+    const count = previous && now - previous.lastAt < this.strikeWindowMs ? previous.count + 1 : 1;
+    this.strikes.set(key, { count, lastAt: now });
+    return count;
+  }
+
+  /**
+   * 도배/중복 검사를 위한 메시지 기록 (오래된 기록은 정리)
+   * @param {ChatEvent} event - 채팅 이벤트
+   * @param {number} now - 현재 시각
+   * @private
+   */
+  _trackMessage(event, now) {
+    const windowMs = this.trackWindowMs;
+    if (windowMs <= 0) {
+      return;
+    }
+
+    const userKey = `${event.channelId}:${event.userId}`;
+    const times = (this.userMessages.get(userKey) || []).filter(at => now - at < windowMs);
+    times.push(now);
+    this.userMessages.set(userKey, times);
+
+    const messageKey = `${event.channelId}:${normalizeModerationText(event.message)}`;
+    const senders = (this.recentMessages.get(messageKey) || []).filter(item => now - item.at < windowMs);
+    senders.push({ userId: event.userId, at: now });
+    this.recentMessages.set(messageKey, senders);
+
+    // 기록이 많아지면 만료된 항목 정리
+    if (this.userMessages.size + this.recentMessages.size > 10000) {
+      for (const [key, items] of this.userMessages) {
+        if (items.every(at => now - at >= windowMs)) {
+          this.userMessages.delete(key);
+        }
+      }
+      for (const [key, items] of this.recentMessages) {
+        if (items.every(item => now - item.at >= windowMs)) {
+          this.recentMessages.delete(key);
+        }
+      }
+    }
+  }
+
+  /**
+   * 금지어 검사: 금지어가 들어 있거나(대소문자 무시) 금지 패턴과 일치하는 메시지 검출
+   * @param {ChatEvent} event - 채팅 이벤트
+   * @param {Object} settings - 규칙 설정
+   * @returns {string|Object|null} 위반 사유 (없으면 null)
+   * @private
+   */
+  _checkBlocklist(event, settings) {
+    const text = event.message.toLowerCase();
+    const word = settings.words.find(item => text.includes(String(item).toLowerCase()));
+    if (word) {
+      return { reason: '금지어 사용', word, addFilterWord: settings.addFilterWord };
+    }
+    const pattern = settings.patterns.find(item => {
+      item.lastIndex = 0;
+      return item.test(event.message);
+    });
+    return pattern ? { reason: '금지된 표현 사용' } : null;
+  }
+
+  /**
+   * 대문자 검사: 영문자가 minLength개 이상이고 대문자 비율이 maxRatio를 넘는 메시지 검출
+   * @param {ChatEvent} event - 채팅 이벤트
+   * @param {Object} settings - 규칙 설정
+   * @returns {string|Object|null} 위반 사유 (없으면 null)
+   * @private
+   */
+  _checkCaps(event, settings) {
+    const letters = event.message.match(/[a-z]/gi) || [];
+    if (letters.length < settings.minLength) {
+      return null;
+    }
+    const upper = letters.filter(letter => letter === letter.toUpperCase()).length;
+    return upper / letters.length > settings.maxRatio ? '대문자 과다 사용' : null;
+  }
+
+  /**
+   * 반복 문자 검사: 같은 문자가 maxRepeat번을 넘게 연속으로 나오는 메시지 검출
+   * @param {ChatEvent} event - 채팅 이벤트
+   * @param {Object} settings - 규칙 설정
+   * @returns {string|Object|null} 위반 사유 (없으면 null)
+   * @private
+   */
+  _checkRepeatedChars(event, settings) {
+    const pattern = new RegExp(`(.)\\1{${settings.maxRepeat},}`, 'u');
+    return pattern.test(event.message) ? '같은 문자 반복' : null;
+  }
+
+  /**
+   * 링크 검사: 허용 도메인(하위 도메인 포함)이 아닌 링크가 들어 있는 메시지 검출
+   * @param {ChatEvent} event - 채팅 이벤트
+   * @param {Object} settings - 규칙 설정
+   * @returns {string|Object|null} 위반 사유 (없으면 null)
+   * @private
+   */
+  _checkLinks(event, settings) {
+    const allowed = settings.allow.map(domain => domain.toLowerCase());
+    for (const match of event.message.matchAll(LINK_PATTERN)) {
+      const host = match[1].toLowerCase();
+      if (!allowed.some(domain => host === domain || host.endsWith(`.${domain}`))) {
+        return '허용되지 않은 링크';
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 도배 검사: 한 사용자가 windowMs 안에 maxMessages개를 넘게 보낸 메시지 검출
+   * @param {ChatEvent} event - 채팅 이벤트
+   * @param {Object} settings - 규칙 설정
+   * @param {number} now - 현재 시각
+   * @returns {string|Object|null} 위반 사유 (없으면 null)
+   * @private
+   */
+  _checkFlood(event, settings, now) {
+    const times = this.userMessages.get(`${event.channelId}:${event.userId}`) || [];
+    const count = times.filter(at => now - at < settings.windowMs).length;
+    return count > settings.maxMessages ? '도배' : null;
+  }
+
+  /**
+   * 중복 검사: windowMs 안에 maxUsers명 이상이 보낸 같은 메시지(minLength자 이상, 대소문자/공백 무시) 검출
+   * @param {ChatEvent} event - 채팅 이벤트
+   * @param {Object} settings - 규칙 설정
+   * @param {number} now - 현재 시각
+   * @returns {string|Object|null} 위반 사유 (없으면 null)
+   * @private
+   */
+  _checkDuplicates(event, settings, now) {
+    const text = normalizeModerationText(event.message);
+    if (text.length < settings.minLength) {
+      return null;
+    }
+    const senders = this.recentMessages.get(`${event.channelId}:${text}`) || [];
+    const users = new Set(senders.filter(item => now - item.at < settings.windowMs).map(item => item.userId));
+    return users.size >= settings.maxUsers ? '여러 사용자의 같은 메시지 반복' : null;
+  }
+}
+
+/**
+ * 중복 비교용 메시지 정규화 (대소문자, 연속 공백 무시)
+ * @param {string} text - 메시지
+ * @returns {string} 정규화된 메시지
+ */
+function normalizeModerationText(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * 채팅 설정 동기화
+ * ----------------------------------------------------------------------------
+ */
+
+/**
+ * 채팅 설정 동기화 계획
+ * @typedef {Object} ChatConfigPlan
+ * @property {{add: string[], remove: Array<{wordId: string, word: string}>}} filterWords - 필터링 단어 변경
+ * @property {{add: string[], remove: Array<{userId: string, nickname: string|null}>}} moderators - 모더레이터 변경
+ * @property {{changes: Object<string, {from: *, to: *}>, next: Object|null}} settings - 채팅 설정 변경 (next는 적용할 전체 설정)
+ * @property {boolean} hasChanges - 변경할 내용이 있는지 여부
+ */
+
+// 채팅 설정 변경 API가 받는 필드 ([6](https://chzzk.gitbook.io/chzzk/chzzk-api/chat#채팅-설정-변경))
+const CHAT_SETTINGS_FIELDS = [
+  'chatAvailableCondition',
+  'chatAvailableGroup',
+  'minFollowerMinute',
+  'allowSubscriberInFollowerMode',
+];
+
+/**
+ * 채팅 설정 중 변경 API가 받는 필드만 추출
+ * 조회 응답에는 변경할 수 없는 필드도 있어, 그대로 다시 보내지 않도록 사용합니다.
+ * @param {Object} settings - 채팅 설정
+ * @returns {Object} 변경 가능한 필드만 담은 설정 (값이 없는 필드는 제외)
+ */
+export function pickChatSettings(settings) {
+  const picked = {};
+  for (const field of CHAT_SETTINGS_FIELDS) {
+    if (settings[field] !== undefined) {
+      picked[field] = settings[field];
+    }
+  }
+  return picked;
+}
+
+/**
+ * 원하는 목록과 현재 목록 비교
+ * @param {string[]} desired - 원하는 값 목록 (중복, 앞뒤 공백은 무시)
+ * @param {Object[]} current - 현재 항목 목록
+ * @param {Function} getValue - 현재 항목에서 비교할 값을 꺼내는 함수
+ * @returns {{add: string[], remove: Object[]}} 추가할 값과 삭제할 항목
+ */
+export function diffChatConfigList(desired, current, getValue) {
+  const wanted = new Set(desired.map(value => String(value).trim()).filter(Boolean));
+  const existing = new Set(current.map(item => String(getValue(item))));
+  return {
+    add: Array.from(wanted).filter(value => !existing.has(value)),
+    remove: current.filter(item => !wanted.has(String(getValue(item)))),
+  };
+}
+
+/**
+ * 채팅 설정 동기화 계획을 읽기 쉬운 문자열로 변환
+ * @param {ChatConfigPlan} plan - 동기화 계획
+ * @param {Object} [options] - 출력 옵션
+ * @param {boolean} [options.dryRun=false] - 제목에 dry-run 표시
+ * @returns {string} 계획 (+ 추가, - 삭제, ~ 변경)
+ */
+export function formatChatConfigPlan(plan, options = {}) {
+  const title = `채팅 설정 동기화 계획${options.dryRun ? ' (dry-run)' : ''}`;
+  if (!plan.hasChanges) {
+    return `${title}: 변경 없음`;
+  }
+
+  const lines = [
+    ...plan.filterWords.add.map(word => `+ 필터링 단어 ${word}`),
+    ...plan.filterWords.remove.map(item => `- 필터링 단어 ${item.word}`),
+    ...plan.moderators.add.map(userId => `+ 모더레이터 ${userId}`),
+    ...plan.moderators.remove.map(item => `- 모더레이터 ${item.userId}${item.nickname ? ` (${item.nickname})` : ''}`),
+    ...Object.entries(plan.settings.changes).map(([key, { from, to }]) => `~ ${key}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`),
+  ];
+  return [`${title}:`, ...lines].join('\n');
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * 채팅 설정 프리셋
+ * ----------------------------------------------------------------------------
+ */
+
+/**
+ * 프리셋 적용 전 채팅 설정
+ * @typedef {Object} ChatSettingsSnapshot
+ * @property {string|null} preset - 적용한 프리셋 이름 (설정 객체를 직접 적용했으면 null)
+ * @property {Object} settings - 적용 전 채팅 설정 (변경 API가 받는 필드만)
+ * @property {number} takenAt - 스냅샷 시각(ms)
+ */
+
+// 기본 채팅 설정 프리셋
+const DEFAULT_CHAT_SETTINGS_PRESETS = {
+  open: {
+    chatAvailableCondition: 'NONE',
+    chatAvailableGroup: 'ALL',
+    minFollowerMinute: 0,
+    allowSubscriberInFollowerMode: true,
+  },
+  'followers-10min': {
+    chatAvailableGroup: 'FOLLOWER',
+    minFollowerMinute: 10,
+    allowSubscriberInFollowerMode: true,
+  },
+  'subscribers-only': {
+    chatAvailableGroup: 'SUBSCRIBER',
+  },
+  lockdown: {
+    chatAvailableGroup: 'MANAGER',
+  },
+};
+
+// cron 필드 범위 (분 시 일 월 요일)
+const CRON_FIELD_RANGES = [
+  [0, 59],
+  [0, 23],
+  [1, 31],
+  [1, 12],
+  [0, 6],
+];
+
+/**
+ * cron 식 파싱 (*, 목록 1,2, 범위 1-5, 간격 *\/15 지원, 요일의 7은 일요일)
+ * @param {string} expression - 분 시 일 월 요일 형식의 cron 식
+ * @returns {Array<Set<number>>} 필드별 허용 값
+ */
+export function parseCronExpression(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new ChzzkValidationError(`cron 식은 5개 필드(분 시 일 월 요일)여야 합니다: ${expression}`);
+  }
+
+  return parts.map((part, index) => {
+    const [min, max] = CRON_FIELD_RANGES[index];
+    const values = new Set();
+
+    for (const item of part.split(',')) {
+      const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(item);
+      if (!match) {
+        throw new ChzzkValidationError(`올바르지 않은 cron 필드: ${item}`);
+      }
+
+      const start = match[1] === '*' ? min : Number(match[2]);
+      const end = match[1] === '*' ? max : (match[3] !== undefined ? Number(match[3]) : (match[4] ? max : start));
+      const step = match[4] ? Number(match[4]) : 1;
+      const upper = index === 4 ? 7 : max;
+      if (start < min || end > upper || start > end || step < 1) {
+        throw new ChzzkValidationError(`cron 필드 범위를 벗어났습니다: ${item}`);
+      }
+
+      for (let value = start; value <= end; value += step) {
+        values.add(index === 4 ? value % 7 : value);
+      }
+    }
+    return values;
+  });
+}
+
+/**
+ * cron 식과 일치하는 다음 시각 (현지 시간 기준, 분 단위)
+ * 일과 요일이 모두 지정되면 둘 중 하나만 일치해도 됩니다.
+ * @param {Array<Set<number>>} fields - parseCronExpression 결과
+ * @param {number} from - 이 시각 이후(포함)부터 찾기(ms)
+ * @returns {number|null} 다음 시각(ms), 4년 안에 없으면 null
+ */
+export function getNextCronTime(fields, from) {
+  const [minutes, hours, days, months, weekdays] = fields;
+  const anyDay = days.size === 31;
+  const anyWeekday = weekdays.size === 7;
+  const date = new Date(from);
+  if (date.getSeconds() > 0 || date.getMilliseconds() > 0) {
+    date.setMinutes(date.getMinutes() + 1);
+  }
+  date.setSeconds(0, 0);
+
+  const limit = from + 4 * 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    const dayMatches = anyDay || anyWeekday
+      ? days.has(date.getDate()) && weekdays.has(date.getDay())
+      : days.has(date.getDate()) || weekdays.has(date.getDay());
+
+    if (!months.has(date.getMonth() + 1) || !dayMatches) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+  return null;
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * 채팅 습격 감지
+ * ----------------------------------------------------------------------------
+ */
+
+// 습격 감지 기본 기준
+const DEFAULT_RAID_THRESHOLDS = {
+  messages: 50, // windowMs 안의 메시지 수
+  newChatters: 20, // windowMs 안에 처음 채팅한 사용자 수
+  similarity: 0.6, // windowMs 안에서 서로 비슷한 메시지의 비율 (0~1)
+  minMessages: 10, // 비율을 계산할 최소 메시지 수
+  minSimilarLength: 5, // 유사도를 비교할 메시지의 최소 글자 수 (정규화 후, 짧은 메시지는 비슷하지 않은 것으로 취급)
+};
+
+// 잠금 기본 설정 (lockdown: true일 때)
+const DEFAULT_RAID_LOCKDOWN = {
+  preset: 'lockdown',
+  notice: '채팅 도배가 감지되어 잠시 채팅을 제한합니다.',
+  cooldownMs: 5 * 60 * 1000,
+};
+
+const RAID_SIMILARITY_LOOKBACK = 50; // 유사도를 비교할 직전 메시지 수
+const RAID_SIMILAR_JACCARD = 0.8; // 비슷한 메시지로 보는 bigram 자카드 유사도
+const RAID_KNOWN_CHATTERS_LIMIT = 50000; // 기억할 채팅 사용자 수
+
+/**
+ * 유사도 비교용 메시지 정규화 (대소문자, 공백, 문장부호, 숫자, 반복 문자 무시)
+ * @param {string} text - 메시지
+ * @returns {string} 정규화된 메시지
+ */
+function normalizeRaidText(text) {
+  return text.toLowerCase()
+    .replace(/[\s\p{P}\p{S}\d]+/gu, '')
+    .replace(/(.)\1+/gu, '$1');
+}
+
+/**
+ * 문자 bigram 집합
+ * @param {string} text - 정규화된 메시지
+ * @returns {Set<string>} bigram 집합 (한 글자면 그 글자)
+ */
+function toBigrams(text) {
+  const chars = Array.from(text);
+  if (chars.length < 2) {
+    return new Set(chars);
+  }
+  const bigrams = new Set();
+  for (let i = 0; i < chars.length - 1; i++) {
+    bigrams.add(chars[i] + chars[i + 1]);
+  }
+  return bigrams;
+}
+
+/**
+ * 두 집합의 자카드 유사도
+ * @param {Set<string>} a - 집합
+ * @param {Set<string>} b - 집합
+ * @returns {number} 0~1 (둘 다 비어 있으면 비교할 내용이 없으므로 0)
+ */
+function jaccardSimilarity(a, b) {
+  if (a.size === 0 && b.size === 0) {
+    return 0;
+  }
+  let intersection = 0;
+  for (const item of a) {
+    if (b.has(item)) {
+      intersection++;
+    }
+  }
+  return intersection / (a.size + b.size - intersection);
+}
+
+/**
+ * 채팅 습격(팔로우 봇, 도배 물결) 감지기
+ * chzzk.createRaidDetector()로 생성합니다. 채널별로 windowMs 동안의 메시지 수, 처음 채팅한 사용자 수,
+ * 비슷한 메시지의 비율을 추적하고, minSignals개 이상의 기준을 넘으면 chatRaidDetected 이벤트를 발생시킵니다.
+ * lockdown을 켜면 채팅 설정을 제한하고 공지를 올린 뒤, cooldownMs 동안 잠잠하면 이전 설정으로 복원합니다.
+ * 잠금은 습격이 감지된 채널의 토큰으로 실행하며, 토큰이 없는 채널은 잠그지 않습니다.
+ */
+export class ChatRaidDetector {
+  /**
+   * @param {Chzzk} client - 채팅 이벤트를 받고 채팅 설정을 바꿀 Chzzk 인스턴스
+   * @param {Object} [options] - 감지 설정
+   * @param {number} [options.windowMs=10000] - 슬라이딩 윈도우 크기(ms)
+   * @param {Object} [options.thresholds] - 감지 기준 ({ messages, newChatters, similarity, minMessages, minSimilarLength })
+   * @param {number} [options.minSignals=2] - 습격으로 판단할 최소 기준 수 (1~3)
+   * @param {number} [options.warmupMs=60000] - 시작 후 기존 채팅 사용자를 익히는 시간(ms), 이 동안은 감지하지 않음
+   * @param {boolean|Object} [options.lockdown=false] - 감지 시 채팅 제한 ({ preset, notice, cooldownMs }, true면 기본값)
+   * @param {string|Object} [options.lockdown.preset='lockdown'] - 적용할 채팅 설정 프리셋 또는 설정 객체
+   * @param {string|null} [options.lockdown.notice] - 채팅 공지 메시지 (null이면 공지하지 않음)
+   * @param {number} [options.lockdown.cooldownMs=300000] - 기준을 넘지 않는 상태가 이 시간 동안 이어지면 복원
+   * @param {string} [options.channelId] - 이 채널의 채팅만 처리 (생략하면 모든 채널).
+   *   멀티 계정으로 등록하지 않은 채널을 잠그려면 client의 토큰이 이 채널의 것이어야 하며, 이 값을 지정해야 합니다.
+   */
+  constructor(client, options = {}) {
+    const {
+      windowMs = 10 * 1000,
+      thresholds = {},
+      minSignals = 2,
+      warmupMs = 60 * 1000,
+      lockdown = false,
+      channelId = null,
+    } = options;
+
+    if (!(minSignals >= 1 && minSignals <= 3)) {
+      throw new ChzzkValidationError('minSignals는 1~3 사이여야 합니다.');
+    }
+
+    this.client = client;
+    this.windowMs = windowMs;
+    this.thresholds = { ...DEFAULT_RAID_THRESHOLDS, ...thresholds };
+    this.minSignals = minSignals;
+    this.warmupMs = warmupMs;
+    this.lockdown = lockdown ? { ...DEFAULT_RAID_LOCKDOWN, ...(lockdown === true ? {} : lockdown) } : null;
+    this.channelId = channelId;
+    this.channels = new Map(); // 채널 ID => 채널별 추적 상태
+    this.startedAt = null;
+    this.unsubscribe = null;
+
+    if (this.lockdown) {
+      client._resolveChatSettingsPreset(this.lockdown.preset);
+    }
+  }
+
+  /**
+   * chatMessage 이벤트 처리 시작
+   */
+  start() {
+    if (this.unsubscribe) {
+      return;
+    }
+    this.startedAt = Date.now();
+    this.unsubscribe = this.client.on('chatMessage', event => this.handle(event));
+  }
+
+  /**
+   * chatMessage 이벤트 처리 중지
+   * 잠금 중인 채널이 있으면 이전 채팅 설정으로 복원합니다.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+
+    await Promise.all(Array.from(this.channels.values(), state => state.active ? this._endRaid(state) : null));
+  }
+
+  /**
+   * 채널의 현재 지표
+   * @param {string} channelId - 채널 ID
+   * @returns {{messages: number, newChatters: number, similarity: number, active: boolean}} 지표
+   */
+  getStats(channelId) {
+    const state = this.channels.get(channelId);
+    if (!state) {
+      return { messages: 0, newChatters: 0, similarity: 0, active: false };
+    }
+    this._prune(state, Date.now());
+    return { ...this._measure(state), active: state.active };
+  }
+
+  /**
+   * 채팅 이벤트 하나를 추적하고 기준을 넘는지 검사
+   * start()하지 않고 직접 호출할 수도 있습니다.
+   * @param {ChatEvent} event - 채팅 이벤트
+   * @returns {Promise<Object|null>} 새로 습격을 감지했으면 chatRaidDetected 이벤트 데이터, 아니면 null
+   */
+  async handle(event) {
+    if (!event || typeof event.message !== 'string' || (this.channelId && event.channelId !== this.channelId)) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (this.startedAt === null) {
+      this.startedAt = now;
+    }
+    const state = this._getState(event.channelId);
+    this._track(state, event, now);
+
+    if (now - this.startedAt < this.warmupMs) {
+      return null;
+    }
+
+    const stats = this._measure(state);
+    const signals = [];
+    if (stats.messages >= this.thresholds.messages) {
+      signals.push('messages');
+    }
+    if (stats.newChatters >= this.thresholds.newChatters) {
+      signals.push('newChatters');
+    }
+    if (stats.messages >= this.thresholds.minMessages && stats.similarity >= this.thresholds.similarity) {
+      signals.push('similarity');
+    }
+
+    if (signals.length < this.minSignals) {
+      return null;
+    }
+
+    if (state.active) {
+      // 습격이 이어지는 동안은 복원을 미룸
+      this._scheduleEnd(state);
+      return null;
+    }
+
+    state.active = true;
+    const lockClient = this.lockdown ? this._getLockClient(event.channelId) : null;
+    const detection = { channelId: event.channelId, detectedAt: now, signals, ...stats, lockdown: !!lockClient };
+    this.client._triggerEvent('chatRaidDetected', detection);
+    this._scheduleEnd(state);
+
+    if (lockClient) {
+      state.locking = this._lock(state, lockClient);
+      await state.locking;
+    }
+    return detection;
+  }
+
+  /**
+   * 채널별 추적 상태 (없으면 생성)
+   * @param {string} channelId - 채널 ID
+   * @returns {Object} 추적 상태
+   * @private
+   */
+  _getState(channelId) {
+    let state = this.channels.get(channelId);
+    if (!state) {
+      state = {
+        channelId,
+        messages: [], // { at, userId, isNew, bigrams(비교 제외면 null), similar }
+        knownChatters: new Set(),
+        active: false,
+        lockClient: null, // 잠금을 실행한 클라이언트 (복원도 같은 클라이언트로 실행)
+        locking: null, // 진행 중인 잠금
+        snapshot: null,
+        endTimer: null,
+      };
+      this.channels.set(channelId, state);
+    }
+    return state;
+  }
+
+  /**
+   * 메시지 기록 (처음 채팅한 사용자 여부, 직전 메시지와의 유사도 계산)
+   * @param {Object} state - 추적 상태
+   * @param {ChatEvent} event - 채팅 이벤트
+   * @param {number} now - 현재 시각
+   * @private
+   */
+  _track(state, event, now) {
+    this._prune(state, now);
+
+    const isNew = !state.knownChatters.has(event.userId);
+    if (isNew) {
+      state.knownChatters.add(event.userId);
+      if (state.knownChatters.size > RAID_KNOWN_CHATTERS_LIMIT) {
+        state.knownChatters.delete(state.knownChatters.values().next().value);
+      }
+    }
+
+    // 이모지, 숫자, 문장부호만 있거나 'ㅋㅋㅋ'처럼 정규화 후 짧은 메시지는 평범한 반응이므로 유사도 비교에서 제외
+    const text = normalizeRaidText(event.message);
+    const bigrams = Array.from(text).length >= this.thresholds.minSimilarLength ? toBigrams(text) : null;
+    const entry = { at: now, userId: event.userId, isNew, bigrams, similar: false };
+    for (const previous of bigrams ? state.messages.slice(-RAID_SIMILARITY_LOOKBACK) : []) {
+      if (previous.bigrams && jaccardSimilarity(entry.bigrams, previous.bigrams) >= RAID_SIMILAR_JACCARD) {
+        entry.similar = true;
+        previous.similar = true;
+      }
+    }
+    state.messages.push(entry);
+  }
+
+  /**
+   * 윈도우를 벗어난 메시지 정리
+   * @param {Object} state - 추적 상태
+   * @param {number} now - 현재 시각
+   * @private
+   */
+  _prune(state, now) {
+    while (state.messages.length > 0 && now - state.messages[0].at >= this.windowMs) {
+      state.messages.shift();
+    }
+  }
+
+  /**
+   * 윈도우 안의 지표 계산
+   * @param {Object} state - 추적 상태
+   * @returns {{messages: number, newChatters: number, similarity: number}} 지표
+   * @private
+   */
+  _measure(state) {
+    const messages = state.messages.length;
+    const newChatters = new Set(state.messages.filter(entry => entry.isNew).map(entry => entry.userId)).size;
+    const similar = state.messages.filter(entry => entry.similar).length;
+    return { messages, newChatters, similarity: messages > 0 ? similar / messages : 0 };
+  }
+
+  /**
+   * 채널의 채팅 설정을 바꿀 클라이언트
+   * 멀티 계정으로 등록된 채널이면 그 계정의 클라이언트를, client의 토큰이 그 채널의 것이면 client를 사용합니다.
+   * 어느 쪽도 아니면 다른 채널의 설정을 바꾸지 않도록 잠금을 거부하고 error 이벤트로 알립니다.
+   * @param {string} channelId - 채널 ID
+   * @returns {Chzzk|null} 잠금에 사용할 클라이언트 (잠글 수 없으면 null)
+   * @private
+   */
+  _getLockClient(channelId) {
+    const lockClient = getChannelClient(this.client, channelId, this.channelId);
+    if (lockClient) {
+      return lockClient;
+    }
+
+    this.client._reportError(
+      '채팅 습격 잠금 거부',
+      new ChzzkValidationError(`토큰이 없는 채널은 잠글 수 없습니다: ${channelId}`),
+      { channelId }
+    );
+    return null;
+  }
+
+  /**
+   * 채팅 설정 제한 및 공지
+   * @param {Object} state - 추적 상태
+   * @param {Chzzk} lockClient - 채널의 채팅 설정을 바꿀 클라이언트
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _lock(state, lockClient) {
+    try {
+      // 프리셋은 감지기의 client에 등록되어 있으므로 설정 객체로 바꿔서 전달
+      const settings = this.client._resolveChatSettingsPreset(this.lockdown.preset);
+      state.snapshot = await lockClient.applyChatSettingsPreset(settings);
+      state.lockClient = lockClient;
+      if (this.lockdown.notice) {
+        await lockClient.setChatNotice({ message: this.lockdown.notice });
+      }
+    } catch (error) {
+      this.client._reportError('채팅 습격 잠금 실패', error, { channelId: state.channelId });
+    }
+  }
+
+  /**
+   * 습격 종료 예약 (cooldownMs 동안 기준을 넘지 않으면 종료)
+   * @param {Object} state - 추적 상태
+   * @private
+   */
+  _scheduleEnd(state) {
+    clearTimeout(state.endTimer);
+    const cooldownMs = this.lockdown ? this.lockdown.cooldownMs : this.windowMs;
+    state.endTimer = setTimeout(() => {
+      this._endRaid(state);
+    }, cooldownMs);
+    if (typeof state.endTimer.unref === 'function') {
+      state.endTimer.unref();
+    }
+  }
+
+  /**
+   * 습격 종료 - 잠금했던 채팅 설정을 복원하고 chatRaidEnded 이벤트 발생
+   * @param {Object} state - 추적 상태
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _endRaid(state) {
+    clearTimeout(state.endTimer);
+    state.endTimer = null;
+    state.active = false;
+
+    // 잠금이 끝나기 전에 복원하면 잠금이 나중에 적용되어 풀리지 않으므로 먼저 기다림
+    const locking = state.locking;
+    state.locking = null;
+    if (locking) {
+      await locking;
+    }
+
+    const snapshot = state.snapshot;
+    const lockClient = state.lockClient;
+    state.snapshot = null;
+    state.lockClient = null;
+    if (snapshot) {
+      try {
+        await lockClient.restoreChatSettings(snapshot);
+      } catch (error) {
+        this.client._reportError('채팅 습격 잠금 해제 실패', error, { channelId: state.channelId });
+      }
+    }
+
+    this.client._triggerEvent('chatRaidEnded', { channelId: state.channelId, endedAt: Date.now(), restored: !!snapshot });
+  }
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * 에러 클래스
+ * ----------------------------------------------------------------------------
+ * ChzzkError
+ * ├─ ChzzkApiError (HTTP 에러 응답)
+ * │  ├─ ChzzkAuthError (401/403 또는 토큰 없음)
+ * │  └─ ChzzkRateLimitError (429)
+ * ├─ ChzzkNetworkError (응답 없음, 타임아웃 등)
+ * └─ ChzzkValidationError (잘못된 인자)
+ */
+
+/**
+ * SDK 에러의 기본 클래스
+ */
+export class ChzzkError extends Error {
+  /**
+   * @param {string} message - 에러 메시지
+   * @param {Object} [options] - 추가 정보
+   * @param {Error} [options.cause] - 원본 에러
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    if (options.cause !== undefined) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+/**
+ * API가 에러 응답을 반환한 경우
+ */
+export class ChzzkApiError extends ChzzkError {
+  /**
+   * @param {string} message - 에러 메시지
+   * @param {Object} [details] - 요청/응답 정보
+   * @param {number} [details.status] - HTTP 상태 코드
+   * @param {string|number} [details.code] - API 응답의 code
+   * @param {string} [details.method] - 요청 메서드
+   * @param {string} [details.path] - 요청 경로
+   * @param {*} [details.responseBody] - 응답 본문
+   * @param {Error} [details.cause] - 원본 에러
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.status = details.status;
+    this.code = details.code;
+    this.method = details.method;
+    this.path = details.path;
+    this.responseBody = details.responseBody;
+  }
+}
+
+/**
+ * 인증 실패 (401/403 응답, 토큰 없음, 인증 state 검증 실패 등)
+ */
+export class ChzzkAuthError extends ChzzkApiError {}
+
+/**
+ * 요청 한도 초과 (429 응답)
+ */
+export class ChzzkRateLimitError extends ChzzkApiError {
+  /**
+   * @param {string} message - 에러 메시지
+   * @param {Object} [details] - ChzzkApiError의 details와 동일
+   * @param {number|null} [details.retryAfterMs] - Retry-After 헤더 값(ms)
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfterMs = details.retryAfterMs != null ? details.retryAfterMs : null;
+  }
+}
+
+/**
+ * 서버로부터 응답을 받지 못한 경우
+ */
+export class ChzzkNetworkError extends ChzzkError {
+  /**
+   * @param {string} message - 에러 메시지
+   * @param {Object} [details] - 요청 정보
+   * @param {string} [details.method] - 요청 메서드
+   * @param {string} [details.path] - 요청 경로
+   * @param {Error} [details.cause] - 원본 에러
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.method = details.method;
+    this.path = details.path;
+  }
+}
+
+/**
+ * 메서드에 잘못된 인자가 전달된 경우
+ */
+export class ChzzkValidationError extends ChzzkError {}
+
+/**
+ * Retry-After 헤더 해석
+ * @param {string|number} value - 헤더 값 (초 또는 HTTP 날짜)
+ * @returns {number|null} 대기 시간(ms)
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * 요청 속도 제한
+ * ----------------------------------------------------------------------------
+ */
+
+// 대기열 우선순위 (숫자가 작을수록 먼저 처리)
+const REQUEST_PRIORITIES = {
+  high: 0,
+  normal: 1,
+  low: 2,
+};
+
+// 버킷 종류별 기본 한도
+const DEFAULT_RATE_LIMITS = {
+  client: { capacity: 10, refillPerSecond: 5 },
+  user: { capacity: 10, refillPerSecond: 5 },
+};
+
+/**
+ * 토큰 버킷 기반 요청 속도 제한기
+ * 버킷마다 우선순위 대기열을 두고, 토큰이 채워지는 대로 우선순위가 높은 요청부터 내보냅니다.
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} [options] - 버킷 종류별 한도
+   * @param {Object} [options.client] - Client 인증 요청 한도 ({ capacity, refillPerSecond })
+   * @param {Object} [options.user] - 유저 인증 요청 한도 (계정마다 별도 버킷)
+   * @throws {ChzzkValidationError} capacity나 refillPerSecond가 0 이하인 경우
+   */
+  constructor(options = {}) {
+    this.limits = {
+      client: { ...DEFAULT_RATE_LIMITS.client, ...options.client },
+      user: { ...DEFAULT_RATE_LIMITS.user, ...options.user },
+    };
+
+    // 한도가 0 이하면 토큰이 채워지지 않아 요청이 영원히 대기함
+    for (const [type, limit] of Object.entries(this.limits)) {
+      for (const field of ['capacity', 'refillPerSecond']) {
+        if (typeof limit[field] !== 'number' || !(limit[field] > 0)) {
+          throw new ChzzkValidationError(`${type}.${field}는 0보다 큰 숫자여야 합니다.`);
+        }
+      }
+    }
+    this.buckets = new Map();
+    this.sequence = 0;
+  }
+
+  /**
+   * 요청 보낼 차례가 될 때까지 대기
+   * @param {Object} request - 요청 정보
+   * @param {'client'|'user'} request.type - 버킷 종류
+   * @param {string} request.key - 버킷 키
+   * @param {'high'|'normal'|'low'|number} [request.priority='normal'] - 우선순위
+   * @param {AbortSignal} [request.signal] - 대기를 취소하는 신호 (취소되면 대기열에서 빠지고 ChzzkError로 거부)
+   * @returns {Promise<void>}
+   */
+  acquire({ type, key, priority = 'normal', signal }) {
+    const bucket = this._getBucket(type, key);
+    const rank = typeof priority === 'number' ? priority : REQUEST_PRIORITIES[priority];
+
+    return new Promise((resolve, reject) => {
+      throwIfAborted(signal);
+      const handleAbort = () => {
+        const index = bucket.queue.indexOf(entry);
+        if (index !== -1) {
+          bucket.queue.splice(index, 1);
+        }
+        reject(new ChzzkError('요청이 취소되었습니다.', { cause: signal.reason }));
+      };
+      const entry = {
+        resolve: () => {
+          if (signal) {
+            signal.removeEventListener('abort', handleAbort);
+          }
+          resolve();
+        },
+        rank: rank === undefined ? REQUEST_PRIORITIES.normal : rank,
+        sequence: this.sequence++,
+        enqueuedAt: Date.now(),
+      };
+      if (signal) {
+        signal.addEventListener('abort', handleAbort, { once: true });
+      }
+
+      // 같은 우선순위 안에서는 먼저 들어온 요청이 먼저 나감
+      const index = bucket.queue.findIndex(queued => queued.rank > entry.rank);
+      if (index === -1) {
+        bucket.queue.push(entry);
+      } else {
+        bucket.queue.splice(index, 0, entry);
+      }
+
+      this._drain(bucket);
+    });
+  }
+
+  /**
+   * 버킷별 대기열 통계
+   * @returns {Object} 버킷 키별 { type, tokens, queueDepth, oldestWaitMs, totalRequests, totalWaitMs, maxWaitMs, averageWaitMs }
+   */
+  getStats() {
+    const now = Date.now();
+    const stats = {};
+
+    for (const [key, bucket] of this.buckets) {
+      this._refill(bucket);
+      stats[key] = {
+        type: bucket.type,
+        tokens: Math.floor(bucket.tokens),
+        queueDepth: bucket.queue.length,
+        oldestWaitMs: bucket.queue.length > 0
+          ? now - Math.min(...bucket.queue.map(entry => entry.enqueuedAt))
+          : 0,
+        totalRequests: bucket.totalRequests,
+        totalWaitMs: bucket.totalWaitMs,
+        maxWaitMs: bucket.maxWaitMs,
+        averageWaitMs: bucket.totalRequests > 0 ? bucket.totalWaitMs / bucket.totalRequests : 0,
+      };
+    }
+
+    return stats;
+  }
+
+  /**
+   * 버킷 가져오기 (없으면 생성)
+   * @param {'client'|'user'} type - 버킷 종류
+   * @param {string} key - 버킷 키
+   * @returns {Object} 버킷
+   * @private
+   */
+  _getBucket(type, key) {
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      const limit = this.limits[type] || this.limits.client;
+      bucket = {
+        type,
+        capacity: limit.capacity,
+        refillPerSecond: limit.refillPerSecond,
+        tokens: limit.capacity,
+        lastRefillAt: Date.now(),
+        queue: [],
+        timer: null,
+        totalRequests: 0,
+        totalWaitMs: 0,
+        maxWaitMs: 0,
+      };
+      this.buckets.set(key, bucket);
+    }
+    return bucket;
+  }
+
+  /**
+   * 경과 시간만큼 토큰 채우기
+   * @param {Object} bucket - 버킷
+   * @private
+   */
+  _refill(bucket) {
+    const now = Date.now();
+    const elapsedSeconds = (now - bucket.lastRefillAt) / 1000;
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsedSeconds * bucket.refillPerSecond);
+    bucket.lastRefillAt = now;
+  }
+
+  /**
+   * 토큰이 있는 만큼 대기열 처리, 남은 요청은 다음 토큰 시점에 다시 처리
+   * @param {Object} bucket - 버킷
+   * @private
+   */
+  _drain(bucket) {
+    this._refill(bucket);
+
+    while (bucket.queue.length > 0 && bucket.tokens >= 1) {
+      const entry = bucket.queue.shift();
+      const waitMs = Date.now() - entry.enqueuedAt;
+      bucket.tokens -= 1;
+      bucket.totalRequests += 1;
+      bucket.totalWaitMs += waitMs;
+      bucket.maxWaitMs = Math.max(bucket.maxWaitMs, waitMs);
+      entry.resolve();
+    }
+
+    if (bucket.queue.length > 0 && !bucket.timer) {
+      const waitMs = Math.ceil(((1 - bucket.tokens) / bucket.refillPerSecond) * 1000);
+      bucket.timer = setTimeout(() => {
+        bucket.timer = null;
+        this._drain(bucket);
+      }, waitMs);
+    }
+  }
+}
+
+/**
+ * 동시 실행 수를 제한하며 비동기 함수 적용
+ * @param {Array} items - 입력 배열
+ * @param {number} concurrency - 최대 동시 실행 수
+ * @param {Function} fn - 각 항목에 적용할 비동기 함수
+ * @returns {Promise<Array>} 입력 순서대로 정렬된 결과
+ */
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+/**
+ * 와일드카드 이벤트 패턴인지 확인
+ * @param {string} eventName - 이벤트 이름 또는 패턴
+ * @returns {boolean} 패턴 여부
+ */
+function isEventPattern(eventName) {
+  if (typeof eventName !== 'string' || !eventName.includes('*')) {
+    return false;
+  }
+  if (eventName.indexOf('*') !== eventName.length - 1) {
+    throw new ChzzkValidationError(`와일드카드는 패턴 끝에만 사용할 수 있습니다: ${eventName}`);
+  }
+  return true;
+}
+
+/**
+ * 이벤트 이름이 와일드카드 패턴과 일치하는지 확인
+ * - '*': 모든 이벤트
+ * - 'chat.*': chat 네임스페이스 (chat.poll처럼 점으로 구분하거나 chatMessage처럼 카멜 케이스로 이어지는 이름)
+ * - 'chat*': chat으로 시작하는 모든 이름
+ * @param {string} pattern - 와일드카드 패턴
+ * @param {string} eventName - 이벤트 이름
+ * @returns {boolean} 일치 여부
+ */
+export function matchEventPattern(pattern, eventName) {
+  if (pattern === '*') {
+    return true;
+  }
+
+  if (pattern.endsWith('.*')) {
+    const namespace = pattern.slice(0, -2);
+    if (eventName.startsWith(`${namespace}.`)) {
+      return true;
+    }
+    const next = eventName.charAt(namespace.length);
+    return eventName.startsWith(namespace) && next !== next.toLowerCase();
+  }
+
+  return eventName.startsWith(pattern.slice(0, -1));
+}
+
+/**
+ * 지정한 시간만큼 대기 (signal로 취소되면 에러 throw)
+ * @param {number} ms - 대기 시간(ms)
+ * @param {AbortSignal} [signal] - 취소 신호
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  throwIfAborted(signal);
+  if (ms <= 0) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const handleAbort = () => {
+      clearTimeout(timer);
+      reject(new ChzzkError('요청이 취소되었습니다.', { cause: signal.reason }));
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', handleAbort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', handleAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * 취소된 AbortSignal이면 에러 throw
+ * @param {AbortSignal} [signal] - 취소 신호
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new ChzzkError('요청이 취소되었습니다.', { cause: signal.reason });
+  }
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * 응답 캐시
+ * ----------------------------------------------------------------------------
+ * 캐시 저장소는 다음 메서드를 구현하는 객체입니다. (동기/비동기 모두 가능)
+ * - get(key): 저장된 값 또는 undefined 반환
+ * - set(key, value, ttlMs): ttlMs 동안 값 저장
+ * - delete(key): 값 삭제
+ * - deleteByPrefix(prefix): prefix로 시작하는 모든 키 삭제
+ */
+
+// 캐시 종류별 기본 유효 시간
+const DEFAULT_CACHE_TTL_MS = {
+  channels: 5 * 60 * 1000,
+  categories: 60 * 60 * 1000,
+  vods: 60 * 1000,
+  vod: 5 * 60 * 1000,
+};
+
+/**
+ * 메모리 LRU 캐시 저장소
+ */
+export class MemoryCacheStore {
+  /**
+   * @param {Object} [options] - 옵션
+   * @param {number} [options.maxEntries=1000] - 최대 항목 수 (초과 시 가장 오래 사용하지 않은 항목부터 삭제)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // 최근 사용한 항목을 맨 뒤로 이동
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  deleteByPrefix(prefix) {
+    for (const key of Array.from(this.entries.keys())) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * 응답 캐시
+ * 유효 시간이 지난 항목도 staleWhileRevalidateMs 동안은 즉시 반환하고, 백그라운드에서 새로 조회합니다.
+ */
+export class ResponseCache {
+  /**
+   * @param {Object} [options] - 옵션
+   * @param {Object} [options.store] - 캐시 저장소 (기본값: MemoryCacheStore)
+   * @param {Object} [options.ttl] - 캐시 종류별 유효 시간(ms) ({ channels, categories, vods, vod })
+   * @param {number} [options.staleWhileRevalidateMs=0] - 유효 시간이 지난 항목을 반환할 수 있는 추가 시간(ms)
+   * @param {Function} [options.onError] - 저장소 에러 콜백 (error, { operation, type, key })
+   */
+  constructor(options = {}) {
+    this.store = options.store || new MemoryCacheStore();
+    this.ttl = { ...DEFAULT_CACHE_TTL_MS, ...options.ttl };
+    this.staleWhileRevalidateMs = options.staleWhileRevalidateMs || 0;
+    this.onError = options.onError || null;
+    this.revalidating = new Map();
+    this.stats = {
+      hits: 0,
+      staleHits: 0,
+      misses: 0,
+      revalidations: 0,
+      errors: 0,
+    };
+  }
+
+  /**
+   * 캐시를 거쳐 조회
+   * @param {string} type - 캐시 종류
+   * @param {string} key - 캐시 키
+   * @param {Function} fetcher - 캐시에 없을 때 호출할 조회 함수
+   * @returns {Promise<*>} 조회 결과
+   */
+  async wrap(type, key, fetcher) {
+    const hit = await this.lookup(type, key);
+    if (hit) {
+      if (hit.stale) {
+        this.revalidate(type, key, async () => {
+          await this.set(type, key, await fetcher());
+        });
+      }
+      return hit.value;
+    }
+
+    const value = await fetcher();
+    await this.set(type, key, value);
+    return value;
+  }
+
+  /**
+   * 캐시 조회
+   * @param {string} type - 캐시 종류
+   * @param {string} key - 캐시 키
+   * @returns {Promise<{value: *, stale: boolean}|null>} 캐시 항목 (없으면 null)
+   */
+  async lookup(type, key) {
+    let entry;
+    try {
+      entry = await this.store.get(this._key(type, key));
+    } catch (error) {
+      this._handleStoreError(error, { operation: 'get', type, key });
+    }
+
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    const stale = entry.freshUntil <= Date.now();
+    if (stale) {
+      this.stats.staleHits++;
+    } else {
+      this.stats.hits++;
+    }
+    return { value: entry.value, stale };
+  }
+
+  /**
+   * 캐시 저장
+   * @param {string} type - 캐시 종류
+   * @param {string} key - 캐시 키
+   * @param {*} value - 저장할 값
+   * @returns {Promise<void>}
+   */
+  async set(type, key, value) {
+    const ttlMs = this.ttl[type] || 0;
+    if (ttlMs <= 0) {
+      return;
+    }
+
+    try {
+      await this.store.set(
+        this._key(type, key),
+        { value, freshUntil: Date.now() + ttlMs },
+        ttlMs + this.staleWhileRevalidateMs
+      );
+    } catch (error) {
+      this._handleStoreError(error, { operation: 'set', type, key });
+    }
+  }
+
+  /**
+   * 백그라운드 재조회 (같은 키는 동시에 한 번만)
+   * @param {string} type - 캐시 종류
+   * @param {string} key - 캐시 키
+   * @param {Function} refresh - 재조회 후 캐시에 저장하는 함수
+   */
+  revalidate(type, key, refresh) {
+    const fullKey = this._key(type, key);
+    if (this.revalidating.has(fullKey)) {
+      return;
+    }
+
+    this.stats.revalidations++;
+    const promise = Promise.resolve()
+      .then(refresh)
+      .catch((error) => {
+        this._handleStoreError(error, { operation: 'revalidate', type, key });
+      })
+      .finally(() => {
+        this.revalidating.delete(fullKey);
+      });
+    this.revalidating.set(fullKey, promise);
+  }
+
+  /**
+   * 캐시 무효화
+   * @param {string} type - 캐시 종류
+   * @param {string} [key] - 캐시 키 (생략하면 해당 종류 전체)
+   * @returns {Promise<void>}
+   */
+  async invalidate(type, key) {
+    try {
+      if (key === undefined) {
+        await this.store.deleteByPrefix(`${type}:`);
+      } else {
+        await this.store.delete(this._key(type, key));
+      }
+    } catch (error) {
+      this._handleStoreError(error, { operation: 'invalidate', type, key });
+    }
+  }
+
+  /**
+   * 캐시 통계
+   * @returns {Object} { hits, staleHits, misses, revalidations, errors, hitRate }
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.staleHits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? (this.stats.hits + this.stats.staleHits) / lookups : 0,
+    };
+  }
+
+  /**
+   * 저장소 키 생성
+   * @param {string} type - 캐시 종류
+   * @param {string} key - 캐시 키
+   * @returns {string} 저장소 키
+   * @private
+   */
+  _key(type, key) {
+    return `${type}:${key}`;
+  }
+
+  /**
+   * 저장소 에러 처리
+   * 캐시 에러로 API 호출이 실패하지 않도록 던지지 않고, 통계에 반영한 뒤 onError로 알립니다.
+   * @param {Error} error - 발생한 에러
+   * @param {Object} details - { operation, type, key }
+   * @private
+   */
+  _handleStoreError(error, details) {
+    this.stats.errors++;
+    if (this.onError) {
+      this.onError(error, details);
+    }
+  }
+}
+
+/**
+ * 인증 state 생성 (CSRF 방지용 무작위 값)
+ * @returns {Promise<string>} 32바이트 무작위 값의 hex 문자열
+ */
+async function generateAuthorizationState() {
+  const bytes = new Uint8Array(32);
+
+  if (globalThis.crypto && globalThis.crypto.getRandomValues) {
+    globalThis.crypto.getRandomValues(bytes);
+  } else {
+    // 전역 Web Crypto가 없는 구버전 Node.js
+    const { randomFillSync } = await import('crypto');
+    randomFillSync(bytes);
+  }
+
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * ----------------------------------------------------------------------------
+ * 토큰 저장소
+ * ----------------------------------------------------------------------------
+ * 토큰 저장소는 다음 메서드를 구현하는 객체입니다. (동기/비동기 모두 가능)
+ * - load(): { accessToken, refreshToken, tokenExpiry } 또는 null 반환
+ * - save(tokens): 토큰 저장
+ * - clear(): 저장된 토큰 삭제
+ */
+
+/**
+ * 메모리 토큰 저장소 (프로세스 종료 시 사라짐)
+ */
+export class MemoryTokenStore {
+  /**
+   * @param {Object} [initialTokens] - 초기 토큰 정보
+   */
+  constructor(initialTokens = null) {
+    this.tokens = initialTokens ? { ...initialTokens } : null;
+  }
+
+  async load() {
+    return this.tokens ? { ...this.tokens } : null;
+  }
+
+  async save(tokens) {
+    this.tokens = { ...tokens };
+  }
+
+  async clear() {
+    this.tokens = null;
+  }
+}
+
+/**
+ * JSON 파일 토큰 저장소 (Node.js 전용)
+ */
+export class FileTokenStore {
+  /**
+   * @param {string} filePath - 토큰을 저장할 JSON 파일 경로
+   */
+  constructor(filePath) {
+    if (!filePath) {
+      throw new ChzzkValidationError('토큰 파일 경로가 필요합니다.');
+    }
+    this.filePath = filePath;
+  }
+
+  async load() {
+    const fs = await import('fs/promises');
+    try {
+      const data = await fs.readFile(this.filePath, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      // 파일이 아직 없으면 저장된 토큰이 없는 것으로 간주
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async save(tokens) {
+    const fs = await import('fs/promises');
+    // 쓰기 도중 종료되어도 파일이 깨지지 않도록 임시 파일에 쓴 뒤 교체
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(tokens, null, 2), { encoding: 'utf8', mode: 0o600 });
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  async clear() {
+    const fs = await import('fs/promises');
+    try {
+      await fs.unlink(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
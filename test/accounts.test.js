@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Chzzk, { ChzzkValidationError } from '../chzzk.js';
+import { FakeWebSocket, stubHttp, waitFor, credentials } from './helpers.js';
+
+test('계정을 다시 등록하거나 해제하면 이전 클라이언트의 타이머와 채팅 연결을 정리한다', async () => {
+  let storedTimeouts = {
+    viewer: { userId: 'viewer', reason: null, createdAt: Date.now(), expiresAt: Date.now() + 60 },
+  };
+  const sockets = [];
+  const unbans = [];
+  const chzzk = new Chzzk({
+    ...credentials,
+    accountTimeoutStore: () => ({
+      load: () => storedTimeouts,
+      save: (timeouts) => { storedTimeouts = timeouts; },
+      clear: () => { storedTimeouts = {}; },
+    }),
+    webSocketFactory: () => {
+      const socket = new FakeWebSocket();
+      sockets.push(socket);
+      return socket;
+    },
+  });
+  const stubAccount = (client, name) => stubHttp(client, (config) => {
+    if (config.method === 'delete') {
+      unbans.push(name);
+    }
+    return { data: { content: { accessToken: 'chat-token' } } };
+  });
+
+  // 등록 후 채팅 연결과 예약
+  const first = chzzk.addAccount('channel', { accessToken: 'token-1' });
+  stubAccount(first, 'first');
+  await first.chatTimeoutsReady;
+  const connecting = first.connectChat('channel');
+  await waitFor(() => sockets.length === 1);
+  sockets[0].open();
+  await connecting;
+  const schedule = first.scheduleChatSettingsPreset('lockdown', { cron: '0 3 * * *' });
+
+  // 다시 등록하면 이전 클라이언트는 정리되고 새 클라이언트가 해제를 이어받음
+  const second = chzzk.addAccount('channel', { accessToken: 'token-2' });
+  stubAccount(second, 'second');
+  assert.notEqual(second, first);
+  assert.equal(first.getChatState('channel'), 'closed');
+  assert.equal(sockets[0].readyState, 3);
+  assert.equal(first.chatTimeoutTimers.size, 0);
+  assert.equal(schedule.getNextRunAt(), null);
+
+  await waitFor(() => unbans.length === 1);
+  assert.deepEqual(unbans, ['second']);
+
+  // 해제하면 새 클라이언트의 타이머도 정리됨
+  await second.timeoutChatUser('other-viewer', 30);
+  assert.equal(chzzk.removeAccount('channel'), true);
+  assert.equal(second.chatTimeoutTimers.size, 0);
+  assert.equal(chzzk.hasAccount('channel'), false);
+  assert.throws(() => chzzk.account('channel'), ChzzkValidationError);
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.deepEqual(unbans, ['second']);
+  assert.ok(storedTimeouts['other-viewer'], '해제 예정은 저장소에 남음');
+  assert.equal(chzzk.removeAccount('channel'), false);
+});
+
+test('계정 클라이언트의 이벤트는 channelId와 함께 전달되고, 해제하면 전달되지 않는다', async () => {
+  const chzzk = new Chzzk(credentials);
+  const events = [];
+  chzzk.on('tokenRefresh', data => events.push(data));
+
+  const client = chzzk.addAccount('channel', { accessToken: 'token' });
+  client._triggerEvent('tokenRefresh', { timestamp: 1 });
+  chzzk.removeAccount('channel');
+  client._triggerEvent('tokenRefresh', { timestamp: 2 });
+
+  assert.deepEqual(events, [{ timestamp: 1, channelId: 'channel' }]);
+});
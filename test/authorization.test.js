@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Chzzk, { ChzzkAuthError, ChzzkValidationError } from '../chzzk.js';
+import { stubHttp, requestBody, waitFor, credentials } from './helpers.js';
+
+const tokenInfo = { accessToken: 'access-token', refreshToken: 'refresh-token', expiresIn: 86400 };
+
+function createAuthClient() {
+  const chzzk = new Chzzk(credentials);
+  const calls = stubHttp(chzzk, () => ({ data: tokenInfo }));
+  return { chzzk, calls };
+}
+
+// 테스트마다 다른 포트를 사용 (동시에 실행되는 다른 프로세스와 겹치지 않도록 무작위)
+function randomRedirectUri() {
+  return `http://127.0.0.1:${20000 + Math.floor(Math.random() * 20000)}/callback`;
+}
+
+test('state는 요청마다 무작위로 만들어지고 인증 URL에 포함된다', async () => {
+  const { chzzk } = createAuthClient();
+  const first = await chzzk.createAuthorizationRequest('http://localhost:8080/callback');
+  const second = await chzzk.createAuthorizationRequest('http://localhost:8080/callback');
+
+  assert.notEqual(first.state, second.state);
+  assert.match(first.state, /^[0-9a-f]{64}$/);
+  const params = new URL(first.url).searchParams;
+  assert.equal(params.get('state'), first.state);
+  assert.equal(params.get('clientId'), 'client-id');
+  assert.equal(params.get('redirectUri'), 'http://localhost:8080/callback');
+});
+
+test('검증한 state로만 토큰을 발급받고, 같은 state는 다시 사용할 수 없다', async () => {
+  const { chzzk, calls } = createAuthClient();
+  const { state } = await chzzk.createAuthorizationRequest('http://localhost:8080/callback');
+
+  await assert.rejects(chzzk.handleAuthorizationCallback({ code: 'code', state: 'forged' }), ChzzkAuthError);
+  await assert.rejects(chzzk.handleAuthorizationCallback({ state }), ChzzkValidationError);
+  assert.equal(calls.length, 0);
+
+  assert.deepEqual(await chzzk.handleAuthorizationCallback({ code: 'code', state }), tokenInfo);
+  assert.deepEqual(requestBody(calls[0]), {
+    grantType: 'authorization_code',
+    clientId: 'client-id',
+    clientSecret: 'client-secret',
+    code: 'code',
+    state,
+  });
+  assert.equal(chzzk.accessToken, 'access-token');
+
+  await assert.rejects(chzzk.handleAuthorizationCallback({ code: 'code', state }), ChzzkAuthError);
+  assert.equal(calls.length, 1);
+});
+
+test('만료된 state는 거부한다', async () => {
+  const { chzzk } = createAuthClient();
+  const { state } = await chzzk.createAuthorizationRequest('http://localhost:8080/callback');
+  chzzk.pendingAuthStates.get(state).expiresAt = Date.now() - 1;
+
+  assert.throws(() => chzzk.verifyAuthorizationState(state), ChzzkAuthError);
+  assert.equal(chzzk.pendingAuthStates.size, 0);
+});
+
+test('미들웨어는 발급한 토큰을 req.chzzkToken에 담고, 실패하면 next(error)를 호출한다', async () => {
+  const { chzzk } = createAuthClient();
+  const middleware = chzzk.authorizationCallbackMiddleware();
+  const { state } = await chzzk.createAuthorizationRequest('http://localhost:8080/callback');
+
+  const req = { url: `/callback?code=code&state=${state}` };
+  const nextArgs = [];
+  await middleware(req, {}, (...args) => nextArgs.push(args));
+  assert.deepEqual(req.chzzkToken, tokenInfo);
+
+  await middleware({ query: { code: 'code', state } }, {}, (...args) => nextArgs.push(args));
+  assert.equal(nextArgs[0].length, 0);
+  assert.ok(nextArgs[1][0] instanceof ChzzkAuthError);
+});
+
+test('로컬 서버는 다른 경로와 state를 거부하고, 올바른 리다이렉트를 받으면 토큰을 발급받은 뒤 닫힌다', async () => {
+  const { chzzk, calls } = createAuthClient();
+  const redirectUri = randomRedirectUri();
+  let authorizationUrl = null;
+
+  const authorizing = chzzk.authorizeWithLocalServer(redirectUri, {
+    onAuthorizationUrl: (url) => {
+      authorizationUrl = url;
+    },
+    timeoutMs: 5000,
+  });
+  await waitFor(() => authorizationUrl);
+  const state = new URL(authorizationUrl).searchParams.get('state');
+  const origin = new URL(redirectUri).origin;
+
+  assert.equal((await fetch(`${origin}/other?code=code&state=${state}`)).status, 404);
+  assert.equal((await fetch(`${redirectUri}?code=code&state=forged`)).status, 400);
+  const response = await fetch(`${redirectUri}?code=code&state=${state}`);
+  assert.equal(response.status, 200);
+  await response.text();
+
+  assert.deepEqual(await authorizing, tokenInfo);
+  assert.equal(calls.length, 1);
+  assert.equal(chzzk.pendingAuthStates.size, 0);
+});
+
+test('로컬 서버는 대기 시간이 지나면 ChzzkAuthError로 실패한다', async () => {
+  const { chzzk } = createAuthClient();
+
+  await assert.rejects(
+    chzzk.authorizeWithLocalServer(randomRedirectUri(), { onAuthorizationUrl: () => {}, timeoutMs: 20 }),
+    ChzzkAuthError,
+  );
+  assert.equal(chzzk.pendingAuthStates.size, 0);
+  await assert.rejects(chzzk.authorizeWithLocalServer('https://example.com/callback', { onAuthorizationUrl: () => {} }), ChzzkValidationError);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffChatConfigList, pickChatSettings } from '../chzzk.js';
+
+const words = [
+  { wordId: '1', word: '광고' },
+  { wordId: '2', word: '도배' },
+];
+
+test('원하는 목록에만 있는 값은 추가, 현재 목록에만 있는 항목은 삭제 대상이다', () => {
+  const diff = diffChatConfigList(['광고', '욕설'], words, item => item.word);
+  assert.deepEqual(diff.add, ['욕설']);
+  assert.deepEqual(diff.remove, [{ wordId: '2', word: '도배' }]);
+});
+
+test('중복, 앞뒤 공백, 빈 값은 무시한다', () => {
+  const diff = diffChatConfigList([' 광고 ', '광고', '', '도배'], words, item => item.word);
+  assert.deepEqual(diff.add, []);
+  assert.deepEqual(diff.remove, []);
+});
+
+test('값은 문자열로 비교한다', () => {
+  const diff = diffChatConfigList(['123'], [{ userId: 123 }], item => item.userId);
+  assert.deepEqual(diff, { add: [], remove: [] });
+});
+
+test('채팅 설정 변경 API가 받는 필드만 남긴다', () => {
+  const picked = pickChatSettings({
+    chatAvailableCondition: 'NONE',
+    chatAvailableGroup: 'FOLLOWER',
+    minFollowerMinute: 0,
+    allowSubscriberInFollowerMode: false,
+    channelId: 'channel',
+    chatSlowModeSec: undefined,
+  });
+  assert.deepEqual(picked, {
+    chatAvailableCondition: 'NONE',
+    chatAvailableGroup: 'FOLLOWER',
+    minFollowerMinute: 0,
+    allowSubscriberInFollowerMode: false,
+  });
+  assert.deepEqual(pickChatSettings({ chatAvailableGroup: 'ALL' }), { chatAvailableGroup: 'ALL' });
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChzzkNetworkError } from '../chzzk.js';
+import { createChatClient, waitFor } from './helpers.js';
+
+test('웹소켓이 열리면 인증 메시지를 보내고 open 상태가 된다', async () => {
+  const { chzzk, sockets } = createChatClient();
+  const states = [];
+  const connected = [];
+  chzzk.on('chatStateChange', ({ state }) => states.push(state));
+  chzzk.on('chatConnected', data => connected.push(data));
+
+  const connecting = chzzk.connectChat('channel');
+  await waitFor(() => sockets.length === 1);
+  sockets[0].open();
+  await connecting;
+
+  assert.deepEqual(states, ['connecting', 'authenticating', 'open']);
+  assert.deepEqual(sockets[0].sent, [{ type: 'AUTH', token: 'chat-token-1', channelId: 'channel' }]);
+  assert.deepEqual(connected, [{ channelId: 'channel' }]);
+  assert.equal(chzzk.getChatState('channel'), 'open');
+
+  await chzzk.disconnectChat();
+  assert.equal(chzzk.getChatState('channel'), 'closed');
+});
+
+test('연결 직후 받은 채팅도 이벤트로 전달된다', async () => {
+  const { chzzk, sockets } = createChatClient();
+  const messages = [];
+  chzzk.on('chatMessage', data => messages.push(data.message));
+
+  const connecting = chzzk.connectChat('channel');
+  await waitFor(() => sockets.length === 1);
+  sockets[0].open();
+  sockets[0].receive({ type: 'CHAT', userId: 'user', nickname: '시청자', content: '안녕하세요' });
+  await connecting;
+
+  assert.deepEqual(messages, ['안녕하세요']);
+  await chzzk.disconnectChat();
+});
+
+test('열리기 전에 끊기면 ChzzkNetworkError로 실패하고 closed 상태가 된다', async () => {
+  const { chzzk, sockets } = createChatClient();
+
+  const connecting = chzzk.connectChat('channel');
+  await waitFor(() => sockets.length === 1);
+  sockets[0].drop();
+
+  await assert.rejects(connecting, ChzzkNetworkError);
+  assert.equal(chzzk.getChatState('channel'), 'closed');
+});
+
+test('연결 후 끊기면 새 채팅 접속 토큰으로 재연결하고 시도 횟수를 초기화한다', async () => {
+  const { chzzk, sockets } = createChatClient();
+  const reconnecting = [];
+  chzzk.on('chatStateChange', ({ state, attempt }) => {
+    if (state === 'reconnecting') {
+      reconnecting.push(attempt);
+    }
+  });
+
+  const connecting = chzzk.connectChat('channel');
+  await waitFor(() => sockets.length === 1);
+  sockets[0].open();
+  await connecting;
+
+  sockets[0].drop();
+  await waitFor(() => sockets.length === 2);
+  sockets[1].open();
+  assert.equal(chzzk.getChatState('channel'), 'open');
+  assert.equal(sockets[1].sent[0].token, 'chat-token-2');
+
+  sockets[1].drop();
+  await waitFor(() => sockets.length === 3);
+  sockets[2].open();
+
+  // 재연결에 성공할 때마다 시도 횟수가 초기화됨
+  assert.deepEqual(reconnecting, [1, 1]);
+  await chzzk.disconnectChat();
+});
+
+test('재연결이 최대 시도 횟수만큼 실패하면 closed 상태로 멈추고 chatError를 보낸다', async () => {
+  const { chzzk, sockets } = createChatClient({ chatReconnect: { maxAttempts: 2, baseDelayMs: 1, jitter: 0 } });
+  const errors = [];
+  chzzk.on('chatError', ({ error }) => errors.push(error));
+
+  const connecting = chzzk.connectChat('channel');
+  await waitFor(() => sockets.length === 1);
+  sockets[0].open();
+  await connecting;
+
+  sockets[0].drop();
+  await waitFor(() => sockets.length === 2);
+  sockets[1].drop();
+  await waitFor(() => sockets.length === 3);
+  sockets[2].drop();
+  await waitFor(() => chzzk.getChatState('channel') === 'closed');
+
+  assert.equal(sockets.length, 3);
+  assert.ok(errors.every(error => error instanceof ChzzkNetworkError));
+  assert.match(errors[errors.length - 1].message, /2회 시도 후 중단/);
+});
+
+test('disconnectChat으로 종료하면 재연결하지 않는다', async () => {
+  const { chzzk, sockets } = createChatClient();
+
+  const connecting = chzzk.connectChat('channel');
+  await waitFor(() => sockets.length === 1);
+  sockets[0].open();
+  await connecting;
+
+  await chzzk.disconnectChat('channel');
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  assert.equal(sockets.length, 1);
+  assert.equal(chzzk.getChatState('channel'), 'closed');
+});
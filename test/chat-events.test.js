@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Chzzk, { ChzzkError, ChzzkValidationError } from '../chzzk.js';
+import { createChatClient, waitFor, credentials } from './helpers.js';
+
+function chatMessage(message, channelId = 'channel') {
+  return { type: 'message', channelId, userId: 'user', nickname: '시청자', message, profile: {} };
+}
+
+async function connect(chzzk, sockets, channelId) {
+  const connecting = chzzk.connectChat(channelId);
+  await waitFor(() => sockets.length > 0 && sockets[sockets.length - 1].readyState === 0);
+  sockets[sockets.length - 1].open();
+  await connecting;
+  return sockets[sockets.length - 1];
+}
+
+test('for await...of로 지정한 종류의 이벤트를 받고, 채팅 연결이 끊기면 남은 이벤트를 전달한 뒤 끝난다', async () => {
+  const { chzzk, sockets } = createChatClient();
+  const socket = await connect(chzzk, sockets, 'channel');
+  const events = chzzk.chatEvents({ types: ['chatMessage', 'chatDonation'] });
+
+  socket.receive({ type: 'CHAT', userId: 'user', nickname: '시청자', content: '안녕하세요' });
+  socket.receive({ type: 'NOTICE', content: '공지' });
+  socket.receive({ type: 'DONATION', donatorNickname: '후원자', payAmount: '1000', donationText: '응원합니다' });
+  await chzzk.disconnectChat();
+
+  const received = [];
+  for await (const event of events) {
+    received.push(event.type);
+  }
+  assert.deepEqual(received, ['message', 'donation']);
+  assert.equal(chzzk._hasListeners('chatMessage'), false);
+});
+
+test('버퍼가 가득 차면 dropPolicy에 따라 오래된 이벤트나 새 이벤트를 버리거나 에러로 끝난다', async () => {
+  const chzzk = new Chzzk(credentials);
+  const oldest = chzzk.chatEvents({ bufferSize: 2 });
+  const newest = chzzk.chatEvents({ bufferSize: 2, dropPolicy: 'newest' });
+  const strict = chzzk.chatEvents({ bufferSize: 2, dropPolicy: 'error' });
+
+  for (const message of ['1', '2', '3']) {
+    chzzk._triggerEvent('chatMessage', chatMessage(message));
+  }
+
+  const take = async (iterator) => [(await iterator.next()).value.message, (await iterator.next()).value.message];
+  assert.deepEqual(await take(oldest), ['2', '3']);
+  assert.deepEqual(await take(newest), ['1', '2']);
+  assert.equal(oldest.dropped, 1);
+  assert.equal(newest.dropped, 1);
+
+  // 에러로 끝나도 버퍼에 남은 이벤트는 먼저 전달
+  assert.deepEqual(await take(strict), ['1', '2']);
+  await assert.rejects(strict.next(), ChzzkError);
+  assert.deepEqual(await strict.next(), { value: undefined, done: true });
+
+  assert.throws(() => chzzk.chatEvents({ dropPolicy: 'latest' }), ChzzkValidationError);
+  assert.throws(() => chzzk.chatEvents({ bufferSize: 0 }), ChzzkValidationError);
+  await oldest.return();
+  await newest.return();
+});
+
+test('channelId를 지정하면 그 채널의 이벤트만 받고, 그 채널의 연결이 끊길 때 끝난다', async () => {
+  const { chzzk, sockets } = createChatClient();
+  const channelA = await connect(chzzk, sockets, 'channel-a');
+  const channelB = await connect(chzzk, sockets, 'channel-b');
+  const events = chzzk.chatEvents({ channelId: 'channel-a' });
+
+  channelB.receive({ type: 'CHAT', userId: 'user', nickname: '시청자', content: 'B' });
+  channelA.receive({ type: 'CHAT', userId: 'user', nickname: '시청자', content: 'A' });
+  await chzzk.disconnectChat('channel-b');
+  assert.equal(events.done, false);
+  await chzzk.disconnectChat('channel-a');
+
+  const received = [];
+  for await (const event of events) {
+    received.push(event.message);
+  }
+  assert.deepEqual(received, ['A']);
+});
+
+test('break하거나 signal로 중단하면 구독을 해제하고 기다리던 next()도 끝난다', async () => {
+  const chzzk = new Chzzk(credentials);
+
+  setTimeout(() => chzzk._triggerEvent('chatMessage', chatMessage('first')), 0);
+  for await (const event of chzzk.chatEvents()) {
+    assert.equal(event.message, 'first');
+    break;
+  }
+  assert.equal(chzzk._hasListeners('chatMessage'), false);
+
+  const controller = new AbortController();
+  const events = chzzk.chatEvents({ signal: controller.signal });
+  const waiting = events.next();
+  controller.abort();
+  assert.deepEqual(await waiting, { value: undefined, done: true });
+  assert.equal(chzzk._hasListeners('chatMessage'), false);
+});
+
+test('chatEventStream은 이벤트를 객체 스트림으로 전달하고, destroy하면 구독을 해제한다', async () => {
+  const chzzk = new Chzzk(credentials);
+  const stream = chzzk.chatEventStream({ types: ['chatMessage'] });
+  const received = [];
+  stream.on('data', event => received.push(event.message));
+
+  chzzk._triggerEvent('chatMessage', chatMessage('하나'));
+  chzzk._triggerEvent('chatMessage', chatMessage('둘'));
+  await waitFor(() => received.length === 2);
+
+  stream.destroy();
+  await waitFor(() => !chzzk._hasListeners('chatMessage'));
+  assert.deepEqual(received, ['하나', '둘']);
+});
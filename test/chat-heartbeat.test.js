@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChzzkNetworkError } from '../chzzk.js';
+import { createChatClient, waitFor } from './helpers.js';
+
+async function connect(pongTimeoutMs = 1000) {
+  const { chzzk, sockets } = createChatClient({ chatHeartbeat: { intervalMs: 10, pongTimeoutMs } });
+  const connecting = chzzk.connectChat('channel');
+  await waitFor(() => sockets.length === 1);
+  sockets[0].open();
+  await connecting;
+  return { chzzk, sockets };
+}
+
+const pings = socket => socket.sent.filter(message => message.type === 'PING');
+
+test('PONG을 받으면 왕복 지연 시간을 chatHeartbeat 이벤트와 getChatLatency로 알린다', async () => {
+  const { chzzk, sockets } = await connect();
+  const heartbeats = [];
+  chzzk.on('chatHeartbeat', data => heartbeats.push(data));
+  assert.equal(chzzk.getChatLatency('channel'), null);
+
+  await waitFor(() => pings(sockets[0]).length === 1);
+  // PONG을 기다리는 동안에는 PING을 더 보내지 않음
+  await new Promise(resolve => setTimeout(resolve, 25));
+  assert.equal(pings(sockets[0]).length, 1);
+  sockets[0].receive({ type: 'PONG' });
+
+  assert.equal(heartbeats.length, 1);
+  assert.equal(heartbeats[0].channelId, 'channel');
+  assert.ok(heartbeats[0].latencyMs >= 20);
+  assert.equal(chzzk.getChatLatency('channel'), heartbeats[0].latencyMs);
+
+  await waitFor(() => pings(sockets[0]).length === 2);
+  await chzzk.disconnectChat();
+});
+
+test('PONG 대기 시간이 지나면 chatError를 보내고 소켓을 닫은 뒤 재연결한다', async () => {
+  const { chzzk, sockets } = await connect(30);
+  const errors = [];
+  const states = [];
+  chzzk.on('chatError', ({ error }) => errors.push(error));
+  chzzk.on('chatStateChange', ({ state }) => states.push(state));
+
+  await waitFor(() => sockets.length === 2);
+
+  assert.equal(sockets[0].readyState, 3);
+  assert.ok(errors[0] instanceof ChzzkNetworkError);
+  assert.match(errors[0].message, /30ms 동안 PONG을 받지 못했습니다/);
+  assert.equal(states[0], 'reconnecting');
+
+  sockets[1].open();
+  assert.equal(chzzk.getChatState('channel'), 'open');
+  await chzzk.disconnectChat();
+});
+
+test('연결을 끊으면 더 이상 PING을 보내지 않는다', async () => {
+  const { chzzk, sockets } = await connect();
+  await waitFor(() => pings(sockets[0]).length === 1);
+  sockets[0].receive({ type: 'PONG' });
+
+  await chzzk.disconnectChat();
+  const sent = sockets[0].sent.length;
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.equal(sockets[0].sent.length, sent);
+  assert.equal(sockets.length, 1);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, appendFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import Chzzk from '../chzzk.js';
+import { createChatClient, waitFor, credentials } from './helpers.js';
+
+async function withTempDirectory(callback) {
+  const directory = await mkdtemp(join(tmpdir(), 'chzzk-recorder-'));
+  try {
+    await callback(directory);
+  } finally {
+    await rm(directory, { recursive: true, force: true });
+  }
+}
+
+async function recordChats(directory, contents, options = {}) {
+  const { chzzk, sockets } = createChatClient();
+  const recorder = chzzk.createChatRecorder({ directory, ...options });
+  recorder.start();
+
+  const connecting = chzzk.connectChat('channel');
+  await waitFor(() => sockets.length === 1);
+  sockets[0].open();
+  await connecting;
+  for (const content of contents) {
+    sockets[0].receive({ type: 'CHAT', userId: 'user', nickname: '시청자', content });
+  }
+
+  await recorder.stop();
+  await chzzk.disconnectChat();
+  return recorder;
+}
+
+test('크기를 넘으면 새 파일로 교체하고 maxFiles를 넘은 파일은 지운다', async () => {
+  await withTempDirectory(async (directory) => {
+    const recorder = await recordChats(directory, ['하나', '둘', '셋'], { maxFileBytes: 1, maxFiles: 2 });
+
+    // chatRaw와 chatMessage가 메시지마다 한 줄씩 한 파일에 기록됨
+    const files = recorder.getFiles();
+    assert.equal(files.length, 2);
+    assert.equal(recorder.fileCount, 6);
+    for (const file of files) {
+      assert.equal((await readFile(file, 'utf8')).trim().split('\n').length, 1);
+    }
+    assert.deepEqual(
+      recorder.getRecent({ eventName: 'chatMessage' }).map(entry => entry.data.message),
+      ['하나', '둘', '셋'],
+    );
+  });
+});
+
+test('잘린 줄은 건너뛰고 error 이벤트로 알리며, 재생한 이벤트는 다시 기록하지 않는다', async () => {
+  await withTempDirectory(async (directory) => {
+    const recorder = await recordChats(directory, ['하나', '둘']);
+    const [file] = recorder.getFiles();
+    await appendFile(file, '{"recordedAt":1,"eventName":"chatRaw","channelId":"chan', 'utf8');
+
+    const chzzk = new Chzzk(credentials);
+    const messages = [];
+    const errors = [];
+    chzzk.on('chatMessage', data => messages.push(data));
+    chzzk.on('error', data => errors.push(data));
+    const replayRecorder = chzzk.createChatRecorder();
+    replayRecorder.start();
+
+    assert.equal(await chzzk.replayChat(file, { speed: Infinity }), 2);
+
+    assert.deepEqual(messages.map(data => data.message), ['하나', '둘']);
+    assert.ok(messages.every(data => data.replayed === true && data.channelId === 'channel'));
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, /채팅 기록 줄 읽기 실패/);
+    assert.equal(errors[0].filePath, file);
+    assert.equal(errors[0].lineNumber, 5);
+    assert.deepEqual(replayRecorder.getRecent(), []);
+  });
+});
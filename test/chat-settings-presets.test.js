@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Chzzk from '../chzzk.js';
+import { stubHttp, requestBody, waitFor, credentials } from './helpers.js';
+
+const original = { chatAvailableCondition: 'NONE', chatAvailableGroup: 'ALL', minFollowerMinute: 0, allowSubscriberInFollowerMode: true };
+
+function createSettingsClient() {
+  const chzzk = new Chzzk({ ...credentials, accessToken: 'access-token' });
+  const requests = stubHttp(chzzk, config => (
+    config.method === 'get' ? { data: { content: { ...original, chatSlowModeSec: 3 } } } : { data: { code: 200 } }
+  ));
+  return { chzzk, updates: () => requests.filter(config => config.method === 'put').map(requestBody) };
+}
+
+test('cancelChatSettingsSchedules로 취소한 예약은 getNextRunAt()이 null이다', () => {
+  const { chzzk } = createSettingsClient();
+  const cron = chzzk.scheduleChatSettingsPreset('lockdown', { cron: '0 3 * * *' });
+  const once = chzzk.scheduleChatSettingsPreset('open', { at: Date.now() + 60 * 60 * 1000 });
+  assert.ok(cron.getNextRunAt() instanceof Date);
+  assert.ok(once.getNextRunAt() instanceof Date);
+
+  chzzk.cancelChatSettingsSchedules();
+
+  assert.equal(cron.getNextRunAt(), null);
+  assert.equal(once.getNextRunAt(), null);
+});
+
+test('at 예약은 한 번 적용하고, durationMs 뒤 이전 설정으로 복원한다', async () => {
+  const { chzzk, updates } = createSettingsClient();
+  const handle = chzzk.scheduleChatSettingsPreset('subscribers-only', { at: Date.now() + 10, durationMs: 20 });
+
+  await waitFor(() => updates().length === 2);
+  assert.equal(handle.getNextRunAt(), null);
+  assert.equal(updates()[0].chatAvailableGroup, 'SUBSCRIBER');
+  assert.deepEqual(updates()[1], original);
+  assert.deepEqual(chzzk.getChatSettingsSnapshots(), []);
+});
+
+test('겹친 프리셋은 나중 것이 끝날 때 처음 설정으로 복원한다', async () => {
+  const { chzzk, updates } = createSettingsClient();
+  const first = await chzzk.applyChatSettingsPreset('followers-10min');
+  await chzzk.applyChatSettingsPreset('lockdown');
+
+  // 먼저 적용한 프리셋을 복원해도 지금 설정은 바뀌지 않음
+  assert.equal(await chzzk.restoreChatSettings(first), true);
+  assert.equal(updates().length, 2);
+
+  assert.equal(await chzzk.restoreChatSettings(), true);
+  assert.deepEqual(updates()[2], original);
+  assert.equal(await chzzk.restoreChatSettings(), false);
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Chzzk, { ChzzkError } from '../chzzk.js';
+import { stubHttp, waitFor, credentials } from './helpers.js';
+
+/**
+ * 저장과 요청 순서를 하나의 기록에 남기는 클라이언트
+ */
+function createTimeoutClient({ saved = null, save, respond } = {}) {
+  const log = [];
+  let stored = saved;
+  const timeoutStore = {
+    load: () => stored,
+    save: async (timeouts) => {
+      if (save) {
+        await save(timeouts);
+      }
+      stored = timeouts;
+      log.push(`save:${Object.keys(timeouts).join(',')}`);
+    },
+    clear: () => {
+      stored = null;
+    },
+  };
+
+  const chzzk = new Chzzk({ ...credentials, accessToken: 'access-token', timeoutStore });
+  stubHttp(chzzk, (config) => {
+    log.push(`${config.method}:${config.url}`);
+    return respond ? respond(config) : { data: { code: 200 } };
+  });
+  return { chzzk, log, getStored: () => stored };
+}
+
+test('해제 예정을 저장한 뒤 금지하고, 기간이 끝나면 해제한 뒤 저장소에서 지운다', async () => {
+  const { chzzk, log } = createTimeoutClient();
+  const expired = [];
+  chzzk.on('chatTimeoutExpired', data => expired.push(data));
+
+  const timeout = await chzzk.timeoutChatUser('user-1', 20, '도배');
+  assert.equal(timeout.reason, '도배');
+
+  await waitFor(() => expired.length === 1);
+  await waitFor(() => log.length === 4);
+  assert.deepEqual(log, [
+    'save:user-1',
+    'post:/open/v1/chats/banned-users',
+    'delete:/open/v1/chats/banned-users/user-1',
+    'save:',
+  ]);
+  assert.equal(expired[0].userId, 'user-1');
+});
+
+test('해제 예정을 저장하지 못하면 금지하지 않고 ChzzkError로 실패한다', async () => {
+  const storeError = new Error('디스크 가득 참');
+  const { chzzk, log } = createTimeoutClient({ save: () => { throw storeError; } });
+
+  await assert.rejects(chzzk.timeoutChatUser('user-1', 60 * 1000), (error) => {
+    assert.ok(error instanceof ChzzkError);
+    assert.equal(error.cause, storeError);
+    return true;
+  });
+
+  assert.deepEqual(log, []);
+  assert.deepEqual(await chzzk.getChatTimeouts(), []);
+});
+
+test('금지에 실패하면 저장한 해제 예정을 되돌린다', async () => {
+  const { chzzk, log, getStored } = createTimeoutClient({
+    respond: config => (config.method === 'post' ? { status: 403, data: { message: '권한 없음' } } : { data: {} }),
+  });
+
+  await assert.rejects(chzzk.timeoutChatUser('user-1', 60 * 1000));
+
+  assert.deepEqual(log, ['save:user-1', 'post:/open/v1/chats/banned-users', 'save:']);
+  assert.deepEqual(getStored(), {});
+  assert.deepEqual(await chzzk.getChatTimeouts(), []);
+});
+
+test('해제에 실패하면 다시 시도할 시각을 저장한다', async () => {
+  const { chzzk, log, getStored } = createTimeoutClient({
+    respond: config => (config.method === 'delete' ? { status: 403, data: {} } : { data: {} }),
+  });
+  const errors = [];
+  chzzk.on('error', data => errors.push(data));
+
+  await chzzk.timeoutChatUser('user-1', 10);
+  await waitFor(() => log.length === 4);
+
+  assert.deepEqual(log.slice(2), ['delete:/open/v1/chats/banned-users/user-1', 'save:user-1']);
+  assert.match(errors[0].message, /임시 제재 해제 실패/);
+  assert.ok(getStored()['user-1'].expiresAt > Date.now() + 30 * 1000);
+
+  await chzzk.cancelChatTimeout('user-1', { unban: false });
+});
+
+test('재시작 전에 기간이 끝난 임시 제재는 불러오자마자 해제한다', async () => {
+  const saved = { 'user-1': { userId: 'user-1', reason: null, createdAt: 0, expiresAt: Date.now() - 1000 } };
+  const { chzzk, log, getStored } = createTimeoutClient({ saved });
+
+  await chzzk.chatTimeoutsReady;
+  await waitFor(() => log.length === 2);
+
+  assert.deepEqual(log, ['delete:/open/v1/chats/banned-users/user-1', 'save:']);
+  assert.deepEqual(getStored(), {});
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenizeCommandArgs } from '../chzzk.js';
+
+test('공백으로 인자를 나누고 원문 위치를 함께 반환한다', () => {
+  assert.deepEqual(tokenizeCommandArgs('ban  @user 10'), [
+    { value: 'ban', index: 0 },
+    { value: '@user', index: 5 },
+    { value: '10', index: 11 },
+  ]);
+});
+
+test('따옴표로 묶은 인자는 공백을 포함한다', () => {
+  const tokens = tokenizeCommandArgs(`title "오늘의 방송 제목" 'single quoted'`);
+  assert.deepEqual(tokens.map(token => token.value), ['title', '오늘의 방송 제목', 'single quoted']);
+});
+
+test('빈 따옴표는 빈 문자열 인자가 된다', () => {
+  assert.deepEqual(tokenizeCommandArgs('say ""').map(token => token.value), ['say', '']);
+});
+
+test('빈 문자열은 토큰이 없다', () => {
+  assert.deepEqual(tokenizeCommandArgs('   '), []);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Chzzk from '../chzzk.js';
+import { credentials } from './helpers.js';
+
+function chatEvent(userId, message, extra = {}) {
+  return { type: 'message', channelId: 'channel', userId, nickname: userId, message, role: 'user', profile: {}, ...extra };
+}
+
+/**
+ * 응답을 보내지 않고 기록하는 라우터
+ */
+function createRouter(options) {
+  const chzzk = new Chzzk(credentials);
+  const replies = [];
+  chzzk.queueChatMessage = async (message) => {
+    replies.push(message);
+  };
+  return { router: chzzk.createCommandRouter(options), replies };
+}
+
+test('getHelp는 맨 앞의 접두사만 떼고 명령어를 찾는다', () => {
+  const { router } = createRouter({ prefix: '#' });
+  router.command({ name: 'a#b', description: '테스트', handler: () => {} });
+  router.command({ name: 'ab', handler: () => {} });
+
+  assert.match(router.getHelp('#a#b'), /^#a#b - 테스트/);
+  assert.match(router.getHelp('a#b'), /^#a#b - 테스트/);
+  assert.equal(router.getHelp('#ab'), '#ab');
+  assert.equal(router.getHelp('x#ab'), '알 수 없는 명령어: x#ab');
+});
+
+test('잘못된 인자로 반복 호출하면 사용법 안내에도 쿨다운을 적용한다', async () => {
+  const { router, replies } = createRouter();
+  router.command({
+    name: 'dice',
+    args: [{ name: 'sides', type: 'integer' }],
+    cooldownMs: 60 * 1000,
+    handler: ({ args }) => `결과: ${args.sides}`,
+  });
+
+  assert.equal(await router.handle(chatEvent('viewer', '!dice abc')), true);
+  assert.equal(await router.handle(chatEvent('viewer', '!dice abc')), false);
+  assert.equal(await router.handle(chatEvent('viewer', '!dice 6')), false);
+  assert.equal(replies.length, 1);
+  assert.match(replies[0], /사용법: !dice <sides:integer>/);
+
+  // 다른 사용자와 쿨다운 면제 권한은 영향 없음
+  assert.equal(await router.handle(chatEvent('other', '!dice 6')), true);
+  assert.equal(await router.handle(chatEvent('manager', '!dice abc', { role: 'manager' })), true);
+  assert.equal(await router.handle(chatEvent('manager', '!dice abc', { role: 'manager' })), true);
+  assert.equal(replies.length, 4);
+});
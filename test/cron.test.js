@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCronExpression, getNextCronTime, ChzzkValidationError } from '../chzzk.js';
+
+test('목록, 범위, 간격을 필드별 허용 값으로 바꾼다', () => {
+  const [minutes, hours, days, months, weekdays] = parseCronExpression('*/15 9-11 1,15 * 1-5');
+  assert.deepEqual([...minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...hours], [9, 10, 11]);
+  assert.deepEqual([...days], [1, 15]);
+  assert.equal(months.size, 12);
+  assert.deepEqual([...weekdays], [1, 2, 3, 4, 5]);
+});
+
+test('요일의 7은 일요일(0)로 취급한다', () => {
+  assert.deepEqual([...parseCronExpression('0 0 * * 7')[4]], [0]);
+  assert.equal(parseCronExpression('0 0 * * 0-7')[4].size, 7);
+});
+
+test('필드 수나 범위가 잘못되면 ChzzkValidationError를 던진다', () => {
+  assert.throws(() => parseCronExpression('0 0 * *'), ChzzkValidationError);
+  assert.throws(() => parseCronExpression('60 0 * * *'), ChzzkValidationError);
+  assert.throws(() => parseCronExpression('0 0 0 * *'), ChzzkValidationError);
+  assert.throws(() => parseCronExpression('0 5-1 * * *'), ChzzkValidationError);
+  assert.throws(() => parseCronExpression('*/0 * * * *'), ChzzkValidationError);
+  assert.throws(() => parseCronExpression('a * * * *'), ChzzkValidationError);
+});
+
+test('다음 시각은 현지 시간 기준 분 단위로 찾는다', () => {
+  const fields = parseCronExpression('30 9 * * *');
+  const from = new Date(2026, 0, 5, 9, 30, 0, 0).getTime();
+  assert.equal(getNextCronTime(fields, from), from);
+  assert.equal(
+    getNextCronTime(fields, from + 1),
+    new Date(2026, 0, 6, 9, 30, 0, 0).getTime()
+  );
+});
+
+test('일과 요일이 모두 지정되면 둘 중 하나만 일치해도 된다', () => {
+  // 2026-01-01은 목요일, 첫 월요일은 1월 5일
+  const fields = parseCronExpression('0 0 10 * 1');
+  const from = new Date(2026, 0, 1, 12, 0, 0, 0).getTime();
+  assert.equal(getNextCronTime(fields, from), new Date(2026, 0, 5).getTime());
+  assert.equal(
+    getNextCronTime(fields, new Date(2026, 0, 6).getTime()),
+    new Date(2026, 0, 10).getTime()
+  );
+});
+
+test('일치하는 날짜가 없으면 null을 반환한다', () => {
+  assert.equal(getNextCronTime(parseCronExpression('0 0 31 2 *'), Date.now()), null);
+});
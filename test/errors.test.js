@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Chzzk, {
+  ChzzkError,
+  ChzzkApiError,
+  ChzzkAuthError,
+  ChzzkRateLimitError,
+  ChzzkNetworkError,
+  ChzzkValidationError,
+} from '../chzzk.js';
+import { stubHttp, networkError, credentials } from './helpers.js';
+
+function createClient(handler) {
+  const chzzk = new Chzzk({ ...credentials, accessToken: 'access-token', retry: false });
+  stubHttp(chzzk, handler);
+  return chzzk;
+}
+
+test('에러 응답은 상태 코드, API code, 요청 정보와 원본 에러를 담은 ChzzkApiError가 된다', async () => {
+  const responseBody = { code: 'NOT_FOUND', message: '라이브가 없습니다.' };
+  const chzzk = createClient(() => ({ status: 404, data: responseBody }));
+
+  await assert.rejects(chzzk.getLiveList(), (error) => {
+    assert.ok(error instanceof ChzzkApiError);
+    assert.ok(!(error instanceof ChzzkAuthError));
+    assert.equal(error.name, 'ChzzkApiError');
+    assert.equal(error.message, '라이브 목록 조회 실패: 라이브가 없습니다.');
+    assert.equal(error.status, 404);
+    assert.equal(error.code, 'NOT_FOUND');
+    assert.equal(error.method, 'GET');
+    assert.equal(error.path, '/open/v1/lives');
+    assert.deepEqual(error.responseBody, responseBody);
+    assert.equal(error.cause.response.status, 404);
+    return true;
+  });
+});
+
+test('401과 403은 ChzzkAuthError, 429는 Retry-After를 담은 ChzzkRateLimitError가 된다', async () => {
+  for (const status of [401, 403]) {
+    const chzzk = createClient(() => ({ status, data: { code: status } }));
+    await assert.rejects(chzzk.getLiveList(), (error) => error instanceof ChzzkAuthError && error.status === status);
+  }
+
+  const chzzk = createClient(() => ({ status: 429, data: { code: 429 }, headers: { 'retry-after': '3' } }));
+  await assert.rejects(chzzk.getLiveList(), (error) => {
+    assert.ok(error instanceof ChzzkRateLimitError);
+    assert.ok(error instanceof ChzzkApiError);
+    assert.equal(error.retryAfterMs, 3000);
+    return true;
+  });
+});
+
+test('응답을 받지 못하면 ChzzkNetworkError, 취소되면 네트워크 에러가 아닌 ChzzkError가 된다', async () => {
+  const offline = createClient((config) => {
+    throw networkError(config);
+  });
+  await assert.rejects(offline.getLiveList(), (error) => {
+    assert.ok(error instanceof ChzzkNetworkError);
+    assert.equal(error.method, 'GET');
+    assert.equal(error.path, '/open/v1/lives');
+    assert.equal(error.cause.code, 'ECONNRESET');
+    return true;
+  });
+
+  const chzzk = createClient(() => ({ data: {} }));
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(chzzk.getLiveList(20, '', { signal: controller.signal }), (error) => {
+    assert.equal(error.constructor, ChzzkError);
+    assert.match(error.message, /요청이 취소되었습니다/);
+    return true;
+  });
+});
+
+test('잘못된 인자와 토큰이 없는 요청은 요청을 보내기 전에 실패한다', async () => {
+  const chzzk = new Chzzk(credentials);
+  const calls = stubHttp(chzzk, () => ({ data: {} }));
+
+  assert.throws(() => chzzk.chat(''), ChzzkValidationError);
+  await assert.rejects(chzzk.getMyUserInfo(), ChzzkAuthError);
+  assert.equal(calls.length, 0);
+});
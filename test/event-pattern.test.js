@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchEventPattern } from '../chzzk.js';
+
+test("'*'는 모든 이벤트와 일치한다", () => {
+  assert.equal(matchEventPattern('*', 'chatMessage'), true);
+  assert.equal(matchEventPattern('*', 'error'), true);
+});
+
+test("'chat.*'는 점 구분과 카멜 케이스 네임스페이스 모두와 일치한다", () => {
+  assert.equal(matchEventPattern('chat.*', 'chat.poll'), true);
+  assert.equal(matchEventPattern('chat.*', 'chatMessage'), true);
+  assert.equal(matchEventPattern('chat.*', 'chatter'), false);
+  assert.equal(matchEventPattern('chat.*', 'chat'), false);
+  assert.equal(matchEventPattern('chat.*', 'tokenRefresh'), false);
+});
+
+test("'err*'처럼 끝이 *인 패턴은 접두사로 비교한다", () => {
+  assert.equal(matchEventPattern('err*', 'error'), true);
+  assert.equal(matchEventPattern('chat*', 'chatter'), true);
+  assert.equal(matchEventPattern('token*', 'chatMessage'), false);
+});
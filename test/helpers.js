@@ -0,0 +1,121 @@
+import { AxiosError } from 'axios';
+import Chzzk from '../chzzk.js';
+
+/**
+ * 클라이언트의 HTTP 요청을 가짜 응답으로 대체
+ * handler는 axios 요청 설정을 받아 { status, data, headers }를 반환하거나 에러를 던집니다.
+ * 400 이상의 상태 코드는 axios처럼 AxiosError로 거부됩니다.
+ * @param {Object} client - Chzzk 인스턴스
+ * @param {Function} handler - (config, callCount) => 응답
+ * @returns {Object[]} 보낸 요청 설정 목록
+ */
+export function stubHttp(client, handler) {
+  const calls = [];
+  client.httpClient.defaults.adapter = async config => {
+    calls.push(config);
+    const { status = 200, data = {}, headers = {} } = (await handler(config, calls.length)) || {};
+    const response = { status, statusText: String(status), data, headers, config, request: {} };
+    if (status >= 400) {
+      throw new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_RESPONSE, config, {}, response);
+    }
+    return response;
+  };
+  return calls;
+}
+
+/**
+ * 응답 없이 실패한 요청(연결 끊김 등)에 해당하는 에러 생성
+ * @param {Object} config - axios 요청 설정
+ * @returns {AxiosError}
+ */
+export function networkError(config) {
+  return new AxiosError('socket hang up', 'ECONNRESET', config, {});
+}
+
+/**
+ * 요청 본문(JSON) 파싱
+ * @param {Object} config - axios 요청 설정
+ * @returns {Object}
+ */
+export function requestBody(config) {
+  return typeof config.data === 'string' ? JSON.parse(config.data) : config.data;
+}
+
+/**
+ * 조건이 참이 될 때까지 대기
+ * @param {Function} predicate - 확인할 조건
+ * @param {number} [timeoutMs=1000] - 최대 대기 시간
+ */
+export async function waitFor(predicate, timeoutMs = 1000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) {
+      throw new Error('waitFor: 시간 초과');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * 테스트용 WebSocket
+ * open(), receive(), drop()으로 서버 동작을 흉내 냅니다.
+ */
+export class FakeWebSocket {
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.readyState === 3) {
+      return;
+    }
+    this.readyState = 3;
+    if (this.onclose) {
+      this.onclose({ code, reason });
+    }
+  }
+
+  open() {
+    this.readyState = 1;
+    this.onopen();
+  }
+
+  receive(message) {
+    this.onmessage({ data: JSON.stringify(message) });
+  }
+
+  drop() {
+    this.close(1006, 'abnormal closure');
+  }
+}
+
+export const credentials = { clientId: 'client-id', clientSecret: 'client-secret' };
+
+/**
+ * 채팅 연결을 테스트할 수 있는 클라이언트 생성
+ * 채팅 접속 토큰 요청은 chat-token-<순번>으로 응답하고, 생성된 웹소켓은 sockets에 쌓입니다.
+ * @param {Object} [options] - Chzzk 생성자 옵션
+ * @returns {{ chzzk: Chzzk, sockets: FakeWebSocket[], calls: Object[] }}
+ */
+export function createChatClient(options = {}) {
+  const sockets = [];
+  const chzzk = new Chzzk({
+    ...credentials,
+    accessToken: 'access-token',
+    webSocketFactory: url => {
+      const socket = new FakeWebSocket(url);
+      sockets.push(socket);
+      return socket;
+    },
+    chatReconnect: { baseDelayMs: 1, jitter: 0 },
+    ...options,
+  });
+  const calls = stubHttp(chzzk, (config, count) => ({ data: { content: { accessToken: `chat-token-${count}` } } }));
+  return { chzzk, sockets, calls };
+}
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Chzzk from '../chzzk.js';
+import { stubHttp, requestBody, credentials } from './helpers.js';
+
+function chatEvent(channelId, userId, message, extra = {}) {
+  return { type: 'message', channelId, userId, nickname: userId, message, role: 'user', profile: {}, ...extra };
+}
+
+function recordRequests(client) {
+  return stubHttp(client, () => ({ data: { code: 200 } }));
+}
+
+test('위반이 발생한 채널의 계정 클라이언트로 제재한다', async () => {
+  const chzzk = new Chzzk({ ...credentials, accessToken: 'root-token' });
+  const rootRequests = recordRequests(chzzk);
+  const channelA = chzzk.addAccount('channel-a', { accessToken: 'token-a' });
+  const channelB = chzzk.addAccount('channel-b', { accessToken: 'token-b' });
+  const requestsA = recordRequests(channelA);
+  const requestsB = recordRequests(channelB);
+
+  const engine = chzzk.createModerationEngine({
+    rules: { blocklist: { words: ['광고'] } },
+    escalation: [{ action: 'ban' }],
+  });
+  const decision = await engine.handle(chatEvent('channel-b', 'spammer', '광고 합니다'));
+
+  assert.equal(decision.action, 'ban');
+  assert.equal(decision.error, null);
+  assert.equal(rootRequests.length, 0);
+  assert.equal(requestsA.length, 0);
+  assert.equal(requestsB.length, 1);
+  assert.equal(requestsB[0].url, '/open/v1/chats/banned-users');
+  assert.equal(requestsB[0].headers.Authorization, 'Bearer token-b');
+  assert.deepEqual(requestBody(requestsB[0]), { userId: 'spammer', reason: '금지어 사용' });
+});
+
+test('토큰이 없는 채널의 위반은 제재하지 않고 error 이벤트로 알린다', async () => {
+  const chzzk = new Chzzk({ ...credentials, accessToken: 'root-token' });
+  const rootRequests = recordRequests(chzzk);
+  const errors = [];
+  chzzk.on('error', data => errors.push(data));
+
+  const engine = chzzk.createModerationEngine({
+    rules: { blocklist: { words: ['광고'] } },
+    escalation: [{ action: 'ban' }],
+  });
+  const decision = await engine.handle(chatEvent('someone-else', 'spammer', '광고'));
+
+  assert.equal(rootRequests.length, 0);
+  assert.ok(decision.error);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].decision, decision);
+  assert.deepEqual(engine.getAuditLog(), [decision]);
+});
+
+test('channelId로 지정한 토큰 소유 채널은 client로 제재한다', async () => {
+  const chzzk = new Chzzk({ ...credentials, accessToken: 'root-token' });
+  const requests = recordRequests(chzzk);
+
+  const engine = chzzk.createModerationEngine({
+    channelId: 'my-channel',
+    rules: { blocklist: { words: ['광고'], addFilterWord: true } },
+    escalation: [{ action: 'ban' }],
+  });
+  await engine.handle(chatEvent('my-channel', 'user-1', '광고'));
+  await engine.handle(chatEvent('my-channel', 'user-2', '광고'));
+
+  // 같은 금지어는 필터링 단어로 한 번만 등록
+  assert.deepEqual(requests.map(config => config.url), [
+    '/open/v1/chats/filter-words',
+    '/open/v1/chats/banned-users',
+    '/open/v1/chats/banned-users',
+  ]);
+});
+
+test('위반 횟수에 따라 경고 → 임시 제재 → 영구 제재 순서로 처리한다', async () => {
+  const chzzk = new Chzzk({ ...credentials, accessToken: 'root-token' });
+  const requests = recordRequests(chzzk);
+
+  const engine = chzzk.createModerationEngine({
+    channelId: 'my-channel',
+    rules: { caps: { minLength: 5, maxRatio: 0.5 } },
+    escalation: [{ action: 'warn' }, { action: 'timeout', durationMs: 60 * 1000 }, { action: 'ban' }],
+  });
+
+  const actions = [];
+  for (let i = 0; i < 4; i++) {
+    const decision = await engine.handle(chatEvent('my-channel', 'shouter', 'HELLO WORLD'));
+    actions.push(decision.action);
+  }
+
+  assert.deepEqual(actions, ['warn', 'timeout', 'ban', 'ban']);
+  assert.equal(requests.filter(config => config.url === '/open/v1/chats/banned-users').length, 3);
+  assert.equal((await chzzk.getChatTimeouts()).length, 1);
+  await chzzk.cancelChatTimeout('shouter', { unban: false });
+});
+
+test('dryRun이면 판정만 기록하고 매니저 이상은 검사하지 않는다', async () => {
+  const chzzk = new Chzzk({ ...credentials, accessToken: 'root-token' });
+  const requests = recordRequests(chzzk);
+  const decisions = [];
+  chzzk.on('chatModeration', decision => decisions.push(decision));
+
+  const engine = chzzk.createModerationEngine({
+    channelId: 'my-channel',
+    rules: { blocklist: { words: ['광고'] } },
+    escalation: [{ action: 'ban' }],
+    dryRun: true,
+  });
+  assert.equal(await engine.handle(chatEvent('my-channel', 'manager', '광고', { role: 'manager' })), null);
+  const decision = await engine.handle(chatEvent('my-channel', 'viewer', '광고'));
+
+  assert.equal(decision.dryRun, true);
+  assert.deepEqual(decisions, [decision]);
+  assert.equal(requests.length, 0);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Chzzk from '../chzzk.js';
+import { stubHttp, requestBody, waitFor, credentials } from './helpers.js';
+
+function chatEvent(channelId, userId, message) {
+  return { type: 'message', channelId, userId, nickname: userId, message, role: 'user', profile: {} };
+}
+
+async function sendAll(detector, channelId, messages) {
+  const detections = [];
+  for (const [index, message] of messages.entries()) {
+    const detection = await detector.handle(chatEvent(channelId, `user-${index}`, message));
+    if (detection) {
+      detections.push(detection);
+    }
+  }
+  return detections;
+}
+
+test('이모지, 숫자, 문장부호만 있거나 짧은 반응 메시지는 비슷한 메시지로 세지 않는다', async () => {
+  const chzzk = new Chzzk(credentials);
+  const detector = chzzk.createRaidDetector({
+    warmupMs: 0,
+    thresholds: { messages: 10, newChatters: 10, minMessages: 5 },
+  });
+
+  const hype = ['ㅋㅋㅋㅋ', 'ㅋㅋㅋㅋㅋㅋ', '👏👏👏', '🔥🔥', '1111', '!!!', '?', 'ㅋㅋ', 'ㄷㄷㄷ', '😂😂😂😂', 'ㅋㅋㅋㅋㅋ', '...'];
+  const detections = await sendAll(detector, 'channel', hype);
+
+  const stats = detector.getStats('channel');
+  assert.equal(stats.messages, hype.length);
+  assert.equal(stats.similarity, 0);
+  // 메시지 수와 새 채팅 사용자 기준만 넘었으므로 similarity 신호는 없음
+  assert.ok(detections.every(detection => !detection.signals.includes('similarity')));
+});
+
+test('정규화 후 내용이 없는 메시지끼리는 같은 메시지로 보지 않는다', async () => {
+  const chzzk = new Chzzk(credentials);
+  const detector = chzzk.createRaidDetector({
+    warmupMs: 0,
+    thresholds: { minSimilarLength: 0 },
+  });
+
+  await sendAll(detector, 'channel', ['🔥', '!!!', '123', '🎉🎉']);
+  assert.equal(detector.getStats('channel').similarity, 0);
+});
+
+test('여러 새 사용자가 비슷한 도배를 보내면 습격으로 감지한다', async () => {
+  const chzzk = new Chzzk(credentials);
+  const detected = [];
+  chzzk.on('chatRaidDetected', data => detected.push(data));
+  const detector = chzzk.createRaidDetector({
+    warmupMs: 0,
+    thresholds: { messages: 100, newChatters: 5, minMessages: 5 },
+  });
+
+  const spam = Array.from({ length: 6 }, (_, i) => `팔로우하고 무료 아이템 받아가세요 ${i}!!`);
+  const detections = await sendAll(detector, 'channel', spam);
+
+  assert.equal(detections.length, 1);
+  assert.deepEqual(detections[0].signals, ['newChatters', 'similarity']);
+  assert.equal(detections[0].lockdown, false);
+  assert.deepEqual(detected, detections);
+  assert.equal(detector.getStats('channel').active, true);
+  await detector.stop();
+});
+
+test('잠금은 채널 계정의 클라이언트로 실행하고, 잠잠해지면 이전 설정으로 복원한다', async () => {
+  const chzzk = new Chzzk(credentials);
+  const account = chzzk.addAccount('channel', { accessToken: 'channel-token' });
+  const original = { chatAvailableCondition: 'NONE', chatAvailableGroup: 'ALL', minFollowerMinute: 0, allowSubscriberInFollowerMode: true };
+  const requests = stubHttp(account, config => (
+    config.method === 'get' ? { data: { content: original } } : { data: { code: 200 } }
+  ));
+  const ended = [];
+  chzzk.on('chatRaidEnded', data => ended.push(data));
+
+  const detector = chzzk.createRaidDetector({
+    warmupMs: 0,
+    thresholds: { messages: 100, newChatters: 5, minMessages: 5 },
+    lockdown: { cooldownMs: 20 },
+  });
+  const spam = Array.from({ length: 6 }, () => '팔로우하고 무료 아이템 받아가세요');
+  const detections = await sendAll(detector, 'channel', spam);
+  assert.equal(detections[0].lockdown, true);
+
+  await waitFor(() => ended.length === 1);
+  const updates = requests.filter(config => config.method === 'put').map(requestBody);
+  assert.equal(updates[0].chatAvailableGroup, 'MANAGER');
+  assert.deepEqual(updates[updates.length - 1], original);
+  assert.ok(requests.some(config => config.url === '/open/v1/chats/notice'));
+  assert.ok(requests.every(config => config.headers.Authorization === 'Bearer channel-token'));
+  assert.equal(ended[0].restored, true);
+});
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Chzzk, { RateLimiter, ChzzkError, ChzzkRateLimitError, ChzzkValidationError } from '../chzzk.js';
+import { stubHttp, credentials } from './helpers.js';
+
+test('capacity나 refillPerSecond가 0 이하면 생성할 수 없다', () => {
+  assert.throws(() => new RateLimiter({ client: { capacity: 0 } }), ChzzkValidationError);
+  assert.throws(() => new RateLimiter({ user: { refillPerSecond: -1 } }), ChzzkValidationError);
+  assert.throws(() => new RateLimiter({ client: { capacity: '5' } }), ChzzkValidationError);
+});
+
+test('capacity만큼은 기다리지 않고 통과한다', async () => {
+  const limiter = new RateLimiter({ client: { capacity: 3, refillPerSecond: 1 } });
+  for (let i = 0; i < 3; i++) {
+    await limiter.acquire({ type: 'client', key: 'client' });
+  }
+
+  const stats = limiter.getStats().client;
+  assert.equal(stats.totalRequests, 3);
+  assert.equal(stats.tokens, 0);
+  assert.equal(stats.queueDepth, 0);
+});
+
+test('대기 중에는 우선순위가 높은 요청이 먼저 나간다', async () => {
+  const limiter = new RateLimiter({ client: { capacity: 1, refillPerSecond: 50 } });
+  await limiter.acquire({ type: 'client', key: 'client' });
+
+  const order = [];
+  await Promise.all([
+    limiter.acquire({ type: 'client', key: 'client', priority: 'low' }).then(() => order.push('low')),
+    limiter.acquire({ type: 'client', key: 'client' }).then(() => order.push('normal')),
+    limiter.acquire({ type: 'client', key: 'client', priority: 'high' }).then(() => order.push('high')),
+  ]);
+
+  assert.deepEqual(order, ['high', 'normal', 'low']);
+});
+
+test('버킷은 키별로 따로 관리된다', async () => {
+  const limiter = new RateLimiter({ user: { capacity: 1, refillPerSecond: 1 } });
+  await limiter.acquire({ type: 'user', key: 'user:a' });
+  await limiter.acquire({ type: 'user', key: 'user:b' });
+
+  const stats = limiter.getStats();
+  assert.equal(stats['user:a'].totalRequests, 1);
+  assert.equal(stats['user:b'].totalRequests, 1);
+});
+
+test('signal로 취소하면 대기열에서 빠지고 거부된다', async () => {
+  const limiter = new RateLimiter({ client: { capacity: 1, refillPerSecond: 20 } });
+  await limiter.acquire({ type: 'client', key: 'client' });
+
+  const controller = new AbortController();
+  const cancelled = limiter.acquire({ type: 'client', key: 'client', signal: controller.signal });
+  const next = limiter.acquire({ type: 'client', key: 'client' });
+  assert.equal(limiter.getStats().client.queueDepth, 2);
+
+  controller.abort();
+  await assert.rejects(cancelled, ChzzkError);
+  assert.equal(limiter.getStats().client.queueDepth, 1);
+  await next;
+});
+
+test('이미 취소된 signal이면 바로 거부된다', async () => {
+  const limiter = new RateLimiter();
+  await assert.rejects(
+    limiter.acquire({ type: 'client', key: 'client', signal: AbortSignal.abort() }),
+    ChzzkError
+  );
+});
+
+test('HTTP 요청은 속도 제한기를 거쳐 버킷이 빌 때까지 기다린다', async () => {
+  const chzzk = new Chzzk({ ...credentials, rateLimit: { client: { capacity: 2, refillPerSecond: 20 } } });
+  const sentAt = [];
+  stubHttp(chzzk, () => {
+    sentAt.push(Date.now());
+    return { data: { content: { data: [] } } };
+  });
+
+  const startedAt = Date.now();
+  await Promise.all([1, 2, 3].map(i => chzzk.searchCategory(`query-${i}`)));
+
+  // 처음 두 요청은 바로, 세 번째는 토큰이 충전된 뒤(약 50ms) 전송
+  assert.ok(sentAt[1] - startedAt < 40);
+  assert.ok(sentAt[2] - startedAt >= 40);
+  assert.equal(chzzk.rateLimiter.getStats().client.totalRequests, 3);
+});
+
+test('유저 인증 요청은 계정별 버킷을 사용하고 채팅 전송은 높은 우선순위로 먼저 나간다', async () => {
+  const chzzk = new Chzzk({
+    ...credentials,
+    accessToken: 'access-token',
+    accountId: 'channel',
+    rateLimit: { user: { capacity: 1, refillPerSecond: 50 } },
+  });
+  const urls = [];
+  stubHttp(chzzk, (config) => {
+    urls.push(config.url);
+    return { data: { content: {} } };
+  });
+
+  await chzzk.getChatSettings();
+  await Promise.all([
+    chzzk.getChatSettings(),
+    chzzk.getChatSettings(),
+    chzzk.sendChatMessage('안녕하세요'),
+  ]);
+
+  assert.deepEqual(urls.slice(1), ['/open/v1/chats/send', '/open/v1/chats/settings', '/open/v1/chats/settings']);
+  assert.equal(chzzk.rateLimiter.getStats()['user:channel'].totalRequests, 4);
+});
+
+test('429 응답은 Retry-After만큼 기다려 다시 보내고, 재시도도 속도 제한기를 거친다', async () => {
+  const chzzk = new Chzzk({ ...credentials, rateLimit: {}, retry: { jitter: 0 } });
+  const calls = stubHttp(chzzk, (config, count) => (
+    count === 1 ? { status: 429, headers: { 'retry-after': '0' } } : { data: { content: { data: [] } } }
+  ));
+
+  await chzzk.searchCategory('query');
+
+  assert.equal(calls.length, 2);
+  assert.equal(chzzk.rateLimiter.getStats().client.totalRequests, 2);
+});
+
+test('재시도하지 않는 429 응답은 Retry-After를 담은 ChzzkRateLimitError로 실패한다', async () => {
+  const chzzk = new Chzzk({ ...credentials, rateLimit: {}, retry: false });
+  stubHttp(chzzk, () => ({ status: 429, headers: { 'retry-after': '2' }, data: { message: 'Too Many Requests' } }));
+
+  await assert.rejects(chzzk.searchCategory('query'), (error) => {
+    assert.ok(error instanceof ChzzkRateLimitError);
+    assert.equal(error.status, 429);
+    assert.equal(error.retryAfterMs, 2000);
+    return true;
+  });
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Chzzk, { MemoryCacheStore } from '../chzzk.js';
+import { stubHttp, waitFor, credentials } from './helpers.js';
+
+/**
+ * 요청마다 다른 값을 응답하는 캐시 클라이언트
+ * 채널 조회는 요청한 채널 ID마다 조회 횟수를 이름에 담아 응답합니다.
+ */
+function createCacheClient(cache = {}, options = {}) {
+  const chzzk = new Chzzk({ ...credentials, accessToken: 'access-token', accountId: 'my-channel', cache, ...options });
+  const calls = stubHttp(chzzk, (config, count) => {
+    if (config.url === '/open/v1/channels') {
+      const channels = config.params.getAll('channelIds').map(channelId => ({ channelId, channelName: `${channelId}-${count}` }));
+      return { data: { code: 200, content: { channels } } };
+    }
+    return { data: { code: 200, content: { count } } };
+  });
+  const channelRequests = () => calls
+    .filter(config => config.url === '/open/v1/channels')
+    .map(config => config.params.getAll('channelIds'));
+  return { chzzk, calls, channelRequests };
+}
+
+test('같은 조회는 유효 시간 동안 캐시된 응답을 사용하고 통계에 반영한다', async () => {
+  const { chzzk, calls } = createCacheClient();
+
+  const first = await chzzk.searchCategory('게임');
+  const second = await chzzk.searchCategory('게임');
+  await chzzk.searchCategory('음악');
+
+  assert.deepEqual(second, first);
+  assert.equal(calls.length, 2);
+  assert.deepEqual(chzzk.getCacheStats(), { hits: 1, staleHits: 0, misses: 2, revalidations: 0, errors: 0, hitRate: 1 / 3 });
+});
+
+test('채널 정보는 채널 단위로 캐시되어 캐시에 없는 채널만 요청한다', async () => {
+  const { chzzk, channelRequests } = createCacheClient();
+
+  await chzzk.getChannels(['a', 'b']);
+  const result = await chzzk.getChannels(['b', 'c', 'b']);
+
+  assert.deepEqual(channelRequests(), [['a', 'b'], ['c']]);
+  assert.deepEqual(result.content.channels.map(channel => channel.channelName), ['b-1', 'c-2']);
+});
+
+test('유효 시간이 지나면 이전 값을 바로 반환하고 백그라운드에서 한 번만 다시 조회한다', async () => {
+  const { chzzk, calls } = createCacheClient({ ttl: { vod: 10 }, staleWhileRevalidateMs: 60 * 1000 });
+
+  assert.equal((await chzzk.getVod('vod-1')).content.count, 1);
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const [stale, alsoStale] = await Promise.all([chzzk.getVod('vod-1'), chzzk.getVod('vod-1')]);
+  assert.equal(stale.content.count, 1);
+  assert.equal(alsoStale.content.count, 1);
+
+  await waitFor(() => chzzk.responseCache.revalidating.size === 0);
+  assert.equal(calls.length, 2);
+  assert.equal((await chzzk.getVod('vod-1')).content.count, 2);
+  assert.equal(chzzk.getCacheStats().revalidations, 1);
+});
+
+test('내 방송 설정이나 VOD를 수정하면 관련 캐시를 무효화한다', async () => {
+  const { chzzk, channelRequests } = createCacheClient();
+
+  await chzzk.getChannels(['my-channel', 'other']);
+  await chzzk.getVod('vod-1');
+  await chzzk.updateLiveSetting({ defaultLiveTitle: '새 제목' });
+  await chzzk.updateVodMetadata('vod-1', { title: '새 제목' });
+  await chzzk.getChannels(['my-channel', 'other']);
+  const vod = await chzzk.getVod('vod-1');
+
+  assert.deepEqual(channelRequests(), [['my-channel', 'other'], ['my-channel']]);
+  assert.equal(vod.content.count, 6);
+});
+
+test('저장소 에러는 요청을 실패시키지 않고 error 이벤트와 통계로 알린다', async () => {
+  const brokenStore = {
+    get: async () => { throw new Error('연결 끊김'); },
+    set: async () => { throw new Error('연결 끊김'); },
+    delete: async () => {},
+    deleteByPrefix: async () => {},
+  };
+  const { chzzk, calls } = createCacheClient({ store: brokenStore });
+  const errors = [];
+  chzzk.on('error', data => errors.push(data));
+
+  assert.equal((await chzzk.searchCategory('게임')).content.count, 1);
+  assert.equal((await chzzk.searchCategory('게임')).content.count, 2);
+
+  assert.equal(calls.length, 2);
+  assert.equal(chzzk.getCacheStats().errors, 4);
+  assert.deepEqual(errors.slice(0, 2).map(data => data.operation), ['get', 'set']);
+  assert.match(errors[0].message, /응답 캐시 저장소 에러/);
+});
+
+test('MemoryCacheStore는 가장 오래 사용하지 않은 항목부터 지운다', () => {
+  const store = new MemoryCacheStore({ maxEntries: 2 });
+  store.set('a', 1, 60 * 1000);
+  store.set('b', 2, 60 * 1000);
+  store.get('a');
+  store.set('c', 3, 60 * 1000);
+
+  assert.equal(store.get('a'), 1);
+  assert.equal(store.get('b'), undefined);
+  assert.equal(store.get('c'), 3);
+
+  store.set('expired', 4, 0);
+  assert.equal(store.get('expired'), undefined);
+});
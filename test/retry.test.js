@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Chzzk, { ChzzkError, ChzzkApiError, ChzzkNetworkError, ChzzkRateLimitError } from '../chzzk.js';
+import { stubHttp, networkError, credentials } from './helpers.js';
+
+/**
+ * 정해진 응답을 차례로 돌려주는 클라이언트 (마지막 응답은 이후에도 반복)
+ */
+function createRetryClient(responses, retry = {}) {
+  const chzzk = new Chzzk({ ...credentials, accessToken: 'access-token', retry: { baseDelayMs: 10, jitter: 0, ...retry } });
+  const sentAt = [];
+  const calls = stubHttp(chzzk, (config, count) => {
+    sentAt.push(Date.now());
+    const response = responses[Math.min(count, responses.length) - 1];
+    if (response === 'network') {
+      throw networkError(config);
+    }
+    return response;
+  });
+  return { chzzk, calls, sentAt };
+}
+
+const ok = { data: { content: { data: [] } } };
+
+test('일시적 실패는 대기 시간을 두 배씩 늘리며 재시도한다', async () => {
+  const { chzzk, calls, sentAt } = createRetryClient([{ status: 502 }, 'network', ok]);
+
+  assert.deepEqual(await chzzk.searchCategory('query'), ok.data);
+
+  assert.equal(calls.length, 3);
+  assert.ok(sentAt[1] - sentAt[0] >= 10);
+  assert.ok(sentAt[2] - sentAt[1] >= 20);
+});
+
+test('maxAttempts에 도달하거나 재시도 대상이 아닌 상태 코드면 바로 실패한다', async () => {
+  const exhausted = createRetryClient([{ status: 503 }]);
+  await assert.rejects(exhausted.chzzk.searchCategory('query'), (error) => error instanceof ChzzkApiError && error.status === 503);
+  assert.equal(exhausted.calls.length, 3);
+
+  const offline = createRetryClient(['network'], { maxAttempts: 2 });
+  await assert.rejects(offline.chzzk.searchCategory('query'), ChzzkNetworkError);
+  assert.equal(offline.calls.length, 2);
+
+  const badRequest = createRetryClient([{ status: 400 }, ok]);
+  await assert.rejects(badRequest.chzzk.searchCategory('query'), ChzzkApiError);
+  assert.equal(badRequest.calls.length, 1);
+});
+
+test('멱등이 아닌 요청은 retry: true를 줄 때만 재시도한다', async () => {
+  const post = createRetryClient([{ status: 502 }, { data: { code: 200 } }]);
+  await assert.rejects(post.chzzk.sendChatMessage('안녕하세요'), ChzzkApiError);
+  assert.equal(post.calls.length, 1);
+
+  const put = createRetryClient([{ status: 502 }, { data: { code: 200 } }]);
+  await assert.rejects(put.chzzk.updateDropsRewardClaims(['claim'], 'FULFILLED'), ChzzkApiError);
+  assert.equal(put.calls.length, 1);
+
+  const optIn = createRetryClient([{ status: 502 }, { data: { code: 200 } }]);
+  assert.deepEqual(await optIn.chzzk.sendChatMessage('안녕하세요', { retry: true }), { code: 200 });
+  assert.equal(optIn.calls.length, 2);
+});
+
+test('Retry-After가 maxDelayMs보다 길면 기다리지 않고 ChzzkRateLimitError로 실패한다', async () => {
+  const { chzzk, calls } = createRetryClient([{ status: 429, headers: { 'retry-after': '60' } }, ok], { maxDelayMs: 1000 });
+
+  await assert.rejects(chzzk.searchCategory('query'), (error) => {
+    assert.ok(error instanceof ChzzkRateLimitError);
+    assert.equal(error.retryAfterMs, 60 * 1000);
+    return true;
+  });
+  assert.equal(calls.length, 1);
+});
+
+test('재시도 대기 중에 signal로 취소하면 다시 보내지 않고 ChzzkError로 실패한다', async () => {
+  const { chzzk, calls } = createRetryClient([{ status: 503 }, ok], { baseDelayMs: 10 * 1000 });
+  const controller = new AbortController();
+
+  const sending = chzzk.sendChatMessage('안녕하세요', { retry: true, signal: controller.signal });
+  setTimeout(() => controller.abort(), 20);
+
+  await assert.rejects(sending, (error) => {
+    assert.ok(error instanceof ChzzkError);
+    assert.ok(!(error instanceof ChzzkApiError));
+    return true;
+  });
+  assert.equal(calls.length, 1);
+});
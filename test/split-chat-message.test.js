@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitChatMessage } from '../chzzk.js';
+
+test('최대 길이 이하의 메시지는 그대로 반환한다', () => {
+  assert.deepEqual(splitChatMessage('  안녕하세요  '), ['안녕하세요']);
+});
+
+test('빈 메시지는 빈 배열을 반환한다', () => {
+  assert.deepEqual(splitChatMessage('   '), []);
+});
+
+test('가능하면 공백에서 자른다', () => {
+  const parts = splitChatMessage('hello world foo', 12);
+  assert.deepEqual(parts, ['hello world', 'foo']);
+});
+
+test('공백이 없으면 문자 경계에서 자른다', () => {
+  const parts = splitChatMessage('a'.repeat(25), 10);
+  assert.deepEqual(parts, ['a'.repeat(10), 'a'.repeat(10), 'a'.repeat(5)]);
+});
+
+test('조각은 최대 길이를 넘지 않는다', () => {
+  const message = Array.from({ length: 60 }, (_, i) => `단어${i}`).join(' ');
+  const parts = splitChatMessage(message, 100);
+  assert.ok(parts.length > 1);
+  for (const part of parts) {
+    assert.ok(part.length <= 100);
+  }
+  assert.equal(parts.join(' '), message);
+});
+
+test('이모지를 중간에서 자르지 않는다', () => {
+  const parts = splitChatMessage('😀'.repeat(3), 5);
+  assert.deepEqual(parts, ['😀😀', '😀']);
+});
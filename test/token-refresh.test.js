@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Chzzk, { ChzzkAuthError } from '../chzzk.js';
+import { stubHttp, credentials } from './helpers.js';
+
+/**
+ * 만료된 토큰으로는 401을, 갱신된 토큰으로는 성공을 응답하는 클라이언트
+ */
+const refreshed = { accessToken: 'new-token', refreshToken: 'new-refresh', expiresIn: 86400 };
+
+function createRefreshClient({ refresh = () => ({ data: refreshed }), validToken = 'new-token' } = {}) {
+  const chzzk = new Chzzk({ ...credentials, accessToken: 'old-token', refreshToken: 'old-refresh' });
+  const events = [];
+  chzzk.on('tokenRefresh', () => events.push('tokenRefresh'));
+  chzzk.on('tokenExpired', () => events.push('tokenExpired'));
+
+  // 재시도할 때 요청 설정의 헤더가 바뀌므로 보낸 시점의 토큰을 따로 기록
+  const authorizations = [];
+  const calls = stubHttp(chzzk, (config) => {
+    if (config.url === '/auth/v1/token') {
+      return refresh(config);
+    }
+    authorizations.push(config.headers.Authorization);
+    return config.headers.Authorization === `Bearer ${validToken}`
+      ? { data: { content: { channelId: 'channel' } } }
+      : { status: 401, data: { code: 401, message: 'INVALID_TOKEN' } };
+  });
+  const refreshCalls = () => calls.filter(config => config.url === '/auth/v1/token');
+  return { chzzk, authorizations, refreshCalls, events };
+}
+
+test('동시에 401을 받은 요청들은 토큰을 한 번만 갱신하고 새 토큰으로 재시도한다', async () => {
+  const { chzzk, authorizations, refreshCalls, events } = createRefreshClient();
+
+  const results = await Promise.all(Array.from({ length: 5 }, () => chzzk.getMyUserInfo()));
+
+  assert.ok(results.every(result => result.content.channelId === 'channel'));
+  assert.equal(refreshCalls().length, 1);
+  assert.deepEqual(events, ['tokenRefresh']);
+  assert.equal(chzzk.accessToken, 'new-token');
+  assert.equal(chzzk.refreshToken, 'new-refresh');
+  assert.deepEqual(authorizations.slice(5), Array(5).fill('Bearer new-token'));
+});
+
+test('갱신 후 재시도한 요청이 다시 401이면 더 갱신하지 않고 ChzzkAuthError로 실패한다', async () => {
+  const { chzzk, refreshCalls, events } = createRefreshClient({ validToken: 'never' });
+
+  await assert.rejects(chzzk.getMyUserInfo(), (error) => {
+    assert.ok(error instanceof ChzzkAuthError);
+    assert.equal(error.status, 401);
+    return true;
+  });
+  assert.equal(refreshCalls().length, 1);
+  assert.deepEqual(events, ['tokenRefresh']);
+});
+
+test('갱신에 실패하면 tokenExpired를 한 번 발생시키고 기다리던 요청도 모두 실패한다', async () => {
+  const { chzzk, refreshCalls, events } = createRefreshClient({
+    refresh: () => ({ status: 400, data: { code: 'INVALID_REFRESH_TOKEN' } }),
+  });
+
+  const results = await Promise.allSettled(Array.from({ length: 3 }, () => chzzk.getMyUserInfo()));
+
+  assert.ok(results.every(result => result.status === 'rejected'));
+  assert.equal(refreshCalls().length, 1);
+  assert.deepEqual(events, ['tokenExpired']);
+  assert.equal(chzzk.refreshPromise, null);
+});
+
+test('만료가 임박한 토큰은 요청 전에 갱신하고, 동시에 호출해도 한 번만 갱신한다', async () => {
+  const { chzzk, authorizations, refreshCalls } = createRefreshClient();
+  chzzk.tokenExpiry = Date.now() + 1000;
+
+  await Promise.all([chzzk.getMyUserInfo(), chzzk.getMyUserInfo()]);
+
+  assert.equal(refreshCalls().length, 1);
+  assert.deepEqual(authorizations, ['Bearer new-token', 'Bearer new-token']);
+  assert.ok(chzzk.tokenExpiry > Date.now() + 60 * 60 * 1000);
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Chzzk, { MemoryTokenStore } from '../chzzk.js';
+import { stubHttp, credentials } from './helpers.js';
+
+test('동기 저장소의 load가 에러를 던져도 생성자는 실패하지 않고 error 이벤트로 보고한다', async () => {
+  const loadError = new Error('읽기 실패');
+  const chzzk = new Chzzk({
+    ...credentials,
+    tokenStore: {
+      load() { throw loadError; },
+      save() {},
+      clear() {},
+    },
+  });
+
+  const errors = [];
+  chzzk.on('error', data => errors.push(data));
+  await chzzk.tokenStoreReady;
+
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].message, '토큰 저장소 불러오기 실패');
+  assert.equal(errors[0].error, loadError);
+});
+
+test('비동기 저장소의 load가 거부되면 error 이벤트로 보고하고 tokenStoreReady는 resolve된다', async () => {
+  const chzzk = new Chzzk({
+    ...credentials,
+    tokenStore: {
+      async load() { throw new Error('연결 실패'); },
+      async save() {},
+      async clear() {},
+    },
+  });
+
+  const errors = [];
+  chzzk.on('error', data => errors.push(data));
+  await chzzk.tokenStoreReady;
+
+  assert.equal(errors.length, 1);
+  assert.equal(chzzk.accessToken, '');
+});
+
+test('저장된 토큰이 생성자 옵션의 토큰보다 우선한다', async () => {
+  const chzzk = new Chzzk({
+    ...credentials,
+    accessToken: 'env-access',
+    refreshToken: 'env-refresh',
+    tokenStore: new MemoryTokenStore({ accessToken: 'stored-access', refreshToken: 'stored-refresh', tokenExpiry: 123 }),
+  });
+  await chzzk.tokenStoreReady;
+
+  assert.equal(chzzk.accessToken, 'stored-access');
+  assert.equal(chzzk.refreshToken, 'stored-refresh');
+  assert.equal(chzzk.tokenExpiry, 123);
+});
+
+test('저장소가 비어 있으면 생성자 옵션의 토큰을 사용한다', async () => {
+  const chzzk = new Chzzk({
+    ...credentials,
+    accessToken: 'env-access',
+    refreshToken: 'env-refresh',
+    tokenStore: new MemoryTokenStore(),
+  });
+  await chzzk.tokenStoreReady;
+
+  assert.equal(chzzk.accessToken, 'env-access');
+  assert.equal(chzzk.refreshToken, 'env-refresh');
+});
+
+test('발급받은 토큰을 저장소에 저장한다', async () => {
+  const store = new MemoryTokenStore();
+  const chzzk = new Chzzk({ ...credentials, tokenStore: store });
+  stubHttp(chzzk, () => ({ data: { accessToken: 'issued-access', refreshToken: 'issued-refresh', expiresIn: 86400 } }));
+
+  await chzzk.issueAccessTokenByCode('code', 'state');
+
+  const saved = await store.load();
+  assert.equal(saved.accessToken, 'issued-access');
+  assert.equal(saved.refreshToken, 'issued-refresh');
+  assert.ok(saved.tokenExpiry > Date.now());
+});
+
+test('addAccount로 전달한 토큰은 계정 저장소의 토큰보다 우선하고 저장소에 반영된다', async () => {
+  const store = new MemoryTokenStore({ accessToken: 'old-access', refreshToken: 'old-refresh' });
+  const chzzk = new Chzzk({ ...credentials, accountTokenStore: () => store });
+
+  const client = chzzk.addAccount('channel', { accessToken: 'new-access', refreshToken: 'new-refresh' });
+  await client.tokenStoreReady;
+
+  assert.equal(client.accessToken, 'new-access');
+  assert.equal((await store.load()).refreshToken, 'new-refresh');
+});